@@ -98,6 +98,8 @@ class DashboardClient {
         this.showNotification('📊 New analysis recorded');
         this.refreshOverview();
         this.refreshCharts();
+        this.loadFallbackStats();
+        this.loadApiUsage();
         break;
       
       case 'feedback':
@@ -120,7 +122,9 @@ class DashboardClient {
         this.loadModelPerformance(),
         this.loadAccuracyMetrics(),
         this.loadContentInsights('length'),
-        this.loadRecentAnalyses()
+        this.loadRecentAnalyses(),
+        this.loadFallbackStats(),
+        this.loadApiUsage()
       ]);
       console.log('✅ All initial data loaded successfully');
     } catch (error) {
@@ -169,11 +173,50 @@ class DashboardClient {
       const data = await response.json();
       
       this.renderAccuracyChart(data);
+      this.renderCalibrationChart(data);
     } catch (error) {
       console.error('Failed to load accuracy metrics:', error);
     }
   }
 
+  async loadFallbackStats() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/analytics/fallbacks?period=7d`);
+      const data = await response.json();
+
+      const element = document.getElementById('fallbackRate');
+      element.textContent = `${data.fallbackRate}% (${data.degradedAnalyses}/${data.totalAnalyses})`;
+      // Hovering shows which providers failed most
+      element.title = data.providers
+        .filter(provider => provider.failures > 0)
+        .map(provider => `${provider.provider}: ${provider.failures} failed${provider.lastError ? ` - ${provider.lastError}` : ''}`)
+        .join('\n');
+    } catch (error) {
+      console.error('Failed to load fallback stats:', error);
+    }
+  }
+
+  async loadApiUsage() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/analytics/usage?period=7d`);
+      const data = await response.json();
+
+      const element = document.getElementById('geminiUsage');
+      element.textContent = `${data.totalTokens.toLocaleString()} tokens (~$${data.estimatedCost.toFixed(2)})`;
+      // Hovering shows the split per model
+      element.title = data.models
+        .map(model => `${model.model}: ${model.requests} requests, ${model.totalTokens.toLocaleString()} tokens, ${model.estimatedCost === null ? 'cost unknown' : `~$${model.estimatedCost.toFixed(4)}`}${model.rateLimited > 0 ? `, ${model.rateLimited} rate-limited` : ''}`)
+        .join('\n');
+
+      const budget = document.getElementById('geminiBudget');
+      budget.textContent = data.today.budget
+        ? `${data.today.remaining.toLocaleString()} of ${data.today.budget.toLocaleString()} tokens left`
+        : `${data.today.tokens.toLocaleString()} tokens used, no budget`;
+    } catch (error) {
+      console.error('Failed to load API usage:', error);
+    }
+  }
+
   async loadContentInsights(viewType = 'length') {
     try {
       const response = await fetch(`${this.baseUrl}/api/analytics/content`);
@@ -472,6 +515,71 @@ class DashboardClient {
     });
   }
 
+  renderCalibrationChart(data) {
+    const ctx = document.getElementById('calibrationChart').getContext('2d');
+
+    if (this.charts.calibration) {
+      this.charts.calibration.destroy();
+    }
+
+    const comparison = data.calibrationComparison || [];
+    const round = value => value === null ? null : Math.round(value);
+
+    this.charts.calibration = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: comparison.map(c => c.score_bucket),
+        datasets: [
+          {
+            label: 'Raw Score (%)',
+            data: comparison.map(c => round(c.avg_raw)),
+            borderColor: '#64748b',
+            backgroundColor: '#64748b'
+          },
+          {
+            label: 'Calibrated (%)',
+            data: comparison.map(c => round(c.avg_calibrated)),
+            borderColor: '#2563eb',
+            backgroundColor: '#2563eb'
+          },
+          {
+            label: 'User Corrected (%)',
+            data: comparison.map(c => round(c.avg_corrected)),
+            borderColor: '#059669',
+            backgroundColor: '#059669',
+            borderDash: [5, 5],
+            spanGaps: true
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: 'Raw Score Range'
+            }
+          },
+          y: {
+            min: 0,
+            max: 100,
+            title: {
+              display: true,
+              text: 'AI Likelihood (%)'
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+          }
+        }
+      }
+    });
+  }
+
   renderContentChart(data, viewType) {
     const ctx = document.getElementById('contentChart').getContext('2d');
     
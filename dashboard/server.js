@@ -88,6 +88,26 @@ class DashboardServer {
       }
     });
 
+    this.app.post('/api/metrics', async (req, res) => {
+      try {
+        const result = await this.processor.recordSystemMetrics(req.body);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('Metrics recording error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/usage', async (req, res) => {
+      try {
+        const result = await this.processor.recordApiUsage(req.body);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('API usage recording error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Analytics Data Routes
     this.app.get('/api/analytics/overview', async (req, res) => {
       try {
@@ -265,6 +285,56 @@ class DashboardServer {
       }
     });
 
+    this.app.get('/api/analytics/fallbacks', async (req, res) => {
+      try {
+        const data = await this.processor.getFallbackStats(req.query.period);
+        res.json(data);
+      } catch (error) {
+        console.error('Fallback stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch fallback stats' });
+      }
+    });
+
+    this.app.get('/api/analytics/voting', async (req, res) => {
+      try {
+        const data = await this.processor.getVotingStats(req.query.period);
+        res.json(data);
+      } catch (error) {
+        console.error('Voting stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch voting stats' });
+      }
+    });
+
+    this.app.get('/api/analytics/prompts', async (req, res) => {
+      try {
+        const data = await this.processor.getPromptTemplateStats(req.query.period);
+        res.json(data);
+      } catch (error) {
+        console.error('Prompt template stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch prompt template stats' });
+      }
+    });
+
+    this.app.get('/api/analytics/health', async (req, res) => {
+      try {
+        const data = await this.processor.getHealthStats(req.query.period);
+        res.json(data);
+      } catch (error) {
+        console.error('Health stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch health stats' });
+      }
+    });
+
+    this.app.get('/api/analytics/usage', async (req, res) => {
+      try {
+        const data = await this.processor.getApiUsageStats(req.query.period);
+        res.json(data);
+      } catch (error) {
+        console.error('API usage stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch API usage stats' });
+      }
+    });
+
     this.app.get('/api/analytics/error-analysis', async (req, res) => {
       try {
         const data = await this.processor.getFalsePositiveAnalysis();
@@ -72,7 +72,21 @@ class AnalyticsDB {
         ollama_version TEXT,
         settings_context TEXT,
         performance_info TEXT,
-        content_context TEXT
+        content_context TEXT,
+        -- Probability calibration
+        raw_likelihood INTEGER,
+        calibrated_likelihood INTEGER,
+        calibration_method TEXT,
+        -- Provider fallback chain
+        attempts TEXT,
+        fallback_count INTEGER DEFAULT 0,
+        -- Multi-model voting
+        votes TEXT,
+        vote_agreement INTEGER,
+        vote_spread INTEGER,
+        -- Prompt template and A/B variant
+        prompt_template TEXT,
+        prompt_variant TEXT
       )`,
 
       // Feedback records
@@ -89,6 +103,8 @@ class AnalyticsDB {
         is_helpful BOOLEAN,
         timestamp INTEGER NOT NULL,
         session_id TEXT,
+        prompt_version TEXT,
+        predicted_likelihood INTEGER,
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (analysis_id) REFERENCES analyses (id)
       )`,
@@ -123,6 +139,23 @@ class AnalyticsDB {
         metric_value TEXT,
         timestamp INTEGER NOT NULL,
         created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )`,
+
+      // Cloud API requests and their token counts
+      `CREATE TABLE IF NOT EXISTS api_usage (
+        id TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        model_name TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        prompt_tokens INTEGER DEFAULT 0,
+        output_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        estimated_cost REAL,
+        rate_limited BOOLEAN DEFAULT 0,
+        daily_tokens INTEGER,
+        daily_token_budget INTEGER,
+        timestamp INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
       )`
     ];
 
@@ -132,13 +165,37 @@ class AnalyticsDB {
       'CREATE INDEX IF NOT EXISTS idx_analyses_model ON analyses (model_name)',
       'CREATE INDEX IF NOT EXISTS idx_feedback_analysis_id ON feedback (analysis_id)',
       'CREATE INDEX IF NOT EXISTS idx_feedback_timestamp ON feedback (timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON sessions (start_time)'
+      'CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON sessions (start_time)',
+      'CREATE INDEX IF NOT EXISTS idx_system_metrics_name_timestamp ON system_metrics (metric_name, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_api_usage_timestamp ON api_usage (timestamp)'
     ];
 
     for (const table of tables) {
       await this.run(table);
     }
 
+    // Columns added after the first release; older databases get them here
+    const addedColumns = {
+      analyses: {
+        raw_likelihood: 'INTEGER',
+        calibrated_likelihood: 'INTEGER',
+        calibration_method: 'TEXT',
+        attempts: 'TEXT',
+        fallback_count: 'INTEGER DEFAULT 0',
+        votes: 'TEXT',
+        vote_agreement: 'INTEGER',
+        vote_spread: 'INTEGER',
+        prompt_template: 'TEXT',
+        prompt_variant: 'TEXT'
+      },
+      feedback: {
+        prompt_version: 'TEXT',
+        predicted_likelihood: 'INTEGER'
+      }
+    };
+
+    await this.addMissingColumns(addedColumns);
+
     for (const index of indexes) {
       await this.run(index);
     }
@@ -146,6 +203,20 @@ class AnalyticsDB {
     console.log('Database tables and indexes created');
   }
 
+  async addMissingColumns(addedColumns) {
+    for (const [table, columns] of Object.entries(addedColumns)) {
+      const existing = await this.all(`PRAGMA table_info(${table})`);
+      const existingNames = new Set(existing.map(column => column.name));
+
+      for (const [column, type] of Object.entries(columns)) {
+        if (!existingNames.has(column)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          console.log(`Added column ${table}.${column}`);
+        }
+      }
+    }
+  }
+
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
@@ -191,8 +262,12 @@ class AnalyticsDB {
         statistical_breakdown, llm_analysis, from_cache, session_id,
         language, domain, reading_time,
         total_request_time, llm_response_time, statistical_time, connection_test_time, cache_hit_time,
-        browser_info, model_info, ollama_version, settings_context, performance_info, content_context
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        browser_info, model_info, ollama_version, settings_context, performance_info, content_context,
+        raw_likelihood, calibrated_likelihood, calibration_method,
+        attempts, fallback_count,
+        votes, vote_agreement, vote_spread,
+        prompt_template, prompt_variant
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -229,7 +304,21 @@ class AnalyticsDB {
       analysis.ollamaVersion || 'unknown',
       analysis.settingsContext || '{}',
       analysis.performanceInfo || '{}',
-      analysis.contentContext || '{}'
+      analysis.contentContext || '{}',
+      // Probability calibration
+      analysis.rawLikelihood,
+      analysis.calibratedLikelihood,
+      analysis.calibrationMethod || null,
+      // Provider fallback chain
+      analysis.attempts || '[]',
+      analysis.fallbackCount || 0,
+      // Multi-model voting
+      analysis.votes || '[]',
+      analysis.voteAgreement ?? null,
+      analysis.voteSpread ?? null,
+      // Prompt template
+      analysis.promptTemplate || null,
+      analysis.promptVariant || null
     ];
 
     return this.run(sql, params);
@@ -240,8 +329,8 @@ class AnalyticsDB {
       INSERT INTO feedback (
         id, analysis_id, feedback_type, rating, corrected_likelihood,
         corrected_confidence, reason_category, reason_text, user_expertise,
-        is_helpful, timestamp, session_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        is_helpful, timestamp, session_id, prompt_version, predicted_likelihood
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -256,12 +345,47 @@ class AnalyticsDB {
       feedback.userExpertise,
       feedback.isHelpful ? 1 : 0,
       feedback.timestamp,
-      feedback.sessionId
+      feedback.sessionId,
+      feedback.promptVersion || null,
+      feedback.predictedLikelihood ?? null
     ];
 
     return this.run(sql, params);
   }
 
+  async insertSystemMetric(metric) {
+    const sql = `
+      INSERT INTO system_metrics (id, metric_name, metric_value, timestamp)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    return this.run(sql, [metric.id, metric.metricName, metric.metricValue, metric.timestamp]);
+  }
+
+  async insertApiUsage(usage) {
+    const sql = `
+      INSERT INTO api_usage (
+        id, provider, model_name, requests, prompt_tokens, output_tokens, total_tokens,
+        estimated_cost, rate_limited, daily_tokens, daily_token_budget, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    return this.run(sql, [
+      usage.id,
+      usage.provider,
+      usage.modelName,
+      usage.requests,
+      usage.promptTokens,
+      usage.outputTokens,
+      usage.totalTokens,
+      usage.estimatedCost,
+      usage.rateLimited ? 1 : 0,
+      usage.dailyTokens,
+      usage.dailyTokenBudget,
+      usage.timestamp
+    ]);
+  }
+
   async getAnalysisTrends(days = 7) {
     const sql = `
       SELECT 
@@ -24,6 +24,16 @@ class AnalyticsProcessor {
       contentType: this.detectContentType(data.metadata?.url),
       sourceMethod: data.metadata?.source || 'unknown',
       aiLikelihood: Math.round(data.likelihood || 0),
+      rawLikelihood: Math.round(data.rawLikelihood ?? data.likelihood ?? 0),
+      calibratedLikelihood: Math.round(data.calibratedLikelihood ?? data.likelihood ?? 0),
+      calibrationMethod: data.calibrationMethod || null,
+      attempts: JSON.stringify(data.attempts || []),
+      fallbackCount: (data.attempts || []).filter(attempt => !attempt.success).length,
+      votes: JSON.stringify(data.voting?.votes || []),
+      voteAgreement: data.voting?.modelCount > 1 ? data.voting.agreement : null,
+      voteSpread: data.voting?.modelCount > 1 ? data.voting.spread : null,
+      promptTemplate: data.promptTemplate?.id || null,
+      promptVariant: data.promptTemplate?.variant || null,
       confidence: Math.round(data.confidence || 0),
       modelName: data.modelName || 'unknown',
       analysisTime: data.analysisTime || 0,
@@ -103,7 +113,10 @@ class AnalyticsProcessor {
       userExpertise: data.userExpertise || 'beginner',
       isHelpful: data.isHelpful || false,
       timestamp: Date.now(),
-      sessionId: data.sessionId || this.generateSessionId()
+      sessionId: data.sessionId || this.generateSessionId(),
+      // Feedback carries its own prompt version, so templates compare without joining analyses
+      promptVersion: data.promptVersion || null,
+      predictedLikelihood: data.predictedLikelihood ?? null
     };
 
     await this.db.insertFeedback(feedback);
@@ -214,13 +227,382 @@ class AnalyticsProcessor {
       GROUP BY error_category
     `);
 
+    // Compare raw ensemble scores with calibrated probabilities and user corrections
+    const calibrationComparison = await this.db.all(`
+      SELECT 
+        CASE 
+          WHEN a.raw_likelihood < 20 THEN '0-19'
+          WHEN a.raw_likelihood < 40 THEN '20-39'
+          WHEN a.raw_likelihood < 60 THEN '40-59'
+          WHEN a.raw_likelihood < 80 THEN '60-79'
+          ELSE '80-100'
+        END as score_bucket,
+        COUNT(*) as count,
+        AVG(a.raw_likelihood) as avg_raw,
+        AVG(a.calibrated_likelihood) as avg_calibrated,
+        AVG(f.corrected_likelihood) as avg_corrected,
+        AVG(ABS(a.raw_likelihood - f.corrected_likelihood)) as raw_error,
+        AVG(ABS(a.calibrated_likelihood - f.corrected_likelihood)) as calibrated_error
+      FROM analyses a
+      LEFT JOIN feedback f ON a.id = f.analysis_id
+      WHERE a.raw_likelihood IS NOT NULL AND a.timestamp > ?
+      GROUP BY score_bucket
+      ORDER BY score_bucket
+    `, [Date.now() - 30 * 24 * 60 * 60 * 1000]);
+
     return {
       calibration: calibrationData,
       errorAnalysis: errorAnalysis,
+      calibrationComparison: calibrationComparison,
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Store each value in data.metrics as its own system_metrics row.
+   * Values are kept as text, so context such as a version string fits too.
+   */
+  async recordSystemMetrics(data) {
+    const timestamp = data.timestamp || Date.now();
+    const metrics = { ...data.metrics };
+    if (data.context?.version) {
+      metrics.ollama_version = data.context.version;
+    }
+    if (data.context?.model) {
+      metrics.ollama_model = data.context.model;
+    }
+
+    const names = Object.keys(metrics).filter(name => metrics[name] !== null && metrics[name] !== undefined);
+    for (const name of names) {
+      await this.db.insertSystemMetric({
+        id: uuidv4(),
+        metricName: name,
+        metricValue: String(metrics[name]),
+        timestamp
+      });
+    }
+
+    return { timestamp, metrics: names.length };
+  }
+
+  /**
+   * Store one cloud API request reported by the extension
+   */
+  async recordApiUsage(data) {
+    const id = uuidv4();
+    await this.db.insertApiUsage({
+      id,
+      provider: data.provider || 'google',
+      modelName: data.model,
+      requests: data.requests || 0,
+      promptTokens: data.promptTokens || 0,
+      outputTokens: data.outputTokens || 0,
+      totalTokens: data.totalTokens || 0,
+      estimatedCost: data.cost ?? null,
+      rateLimited: !!data.rateLimited,
+      dailyTokens: data.dailyTokens ?? null,
+      dailyTokenBudget: data.dailyTokenBudget ?? null,
+      timestamp: data.timestamp || Date.now()
+    });
+    return { id };
+  }
+
+  /**
+   * Cloud API token usage and estimated cost per model, with the daily
+   * budget as last reported by the extension
+   */
+  async getApiUsageStats(period = '7d') {
+    const since = Date.now() - this.parsePeriod(period) * 24 * 60 * 60 * 1000;
+
+    const models = await this.db.all(`
+      SELECT 
+        provider,
+        model_name,
+        SUM(requests) as requests,
+        SUM(prompt_tokens) as prompt_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(total_tokens) as total_tokens,
+        SUM(estimated_cost) as estimated_cost,
+        SUM(rate_limited) as rate_limited
+      FROM api_usage 
+      WHERE timestamp > ?
+      GROUP BY provider, model_name
+      ORDER BY total_tokens DESC
+    `, [since]);
+
+    const latest = await this.db.get(`
+      SELECT daily_tokens, daily_token_budget, timestamp
+      FROM api_usage 
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `);
+    // The extension's daily count restarts at midnight
+    const reportedToday = latest && new Date(latest.timestamp).toDateString() === new Date().toDateString();
+    const tokensToday = reportedToday ? latest.daily_tokens || 0 : 0;
+    const budget = latest?.daily_token_budget || null;
+
+    return {
+      period,
+      requests: models.reduce((sum, row) => sum + row.requests, 0),
+      totalTokens: models.reduce((sum, row) => sum + row.total_tokens, 0),
+      estimatedCost: models.reduce((sum, row) => sum + (row.estimated_cost || 0), 0),
+      rateLimited: models.reduce((sum, row) => sum + row.rate_limited, 0),
+      today: {
+        tokens: tokensToday,
+        budget,
+        remaining: budget ? Math.max(0, budget - tokensToday) : null
+      },
+      models: models.map(row => ({
+        provider: row.provider,
+        model: row.model_name,
+        requests: row.requests,
+        promptTokens: row.prompt_tokens,
+        outputTokens: row.output_tokens,
+        totalTokens: row.total_tokens,
+        estimatedCost: row.estimated_cost,
+        rateLimited: row.rate_limited
+      }))
+    };
+  }
+
+  /**
+   * Ollama availability from the extension's background health checks
+   */
+  async getHealthStats(period = '7d') {
+    const since = Date.now() - this.parsePeriod(period) * 24 * 60 * 60 * 1000;
+
+    const rows = await this.db.all(`
+      SELECT 
+        metric_name,
+        COUNT(*) as samples,
+        AVG(CAST(metric_value AS REAL)) as average
+      FROM system_metrics 
+      WHERE timestamp > ? AND metric_name IN ('ollama_healthy', 'ollama_latency_ms', 'ollama_model_loaded', 'ollama_prewarm')
+      GROUP BY metric_name
+    `, [since]);
+    const averages = Object.fromEntries(rows.map(row => [row.metric_name, row]));
+
+    const latest = await this.db.all(`
+      SELECT metric_name, metric_value, MAX(timestamp) as timestamp
+      FROM system_metrics 
+      WHERE timestamp > ?
+      GROUP BY metric_name
+    `, [since]);
+    const current = Object.fromEntries(latest.map(row => [row.metric_name, row]));
+
+    return {
+      period,
+      checks: averages.ollama_healthy?.samples || 0,
+      uptime: Math.round((averages.ollama_healthy?.average || 0) * 1000) / 10,
+      avgLatency: Math.round(averages.ollama_latency_ms?.average || 0),
+      modelLoadedRate: Math.round((averages.ollama_model_loaded?.average || 0) * 1000) / 10,
+      prewarms: averages.ollama_prewarm?.samples || 0,
+      prewarmSuccessRate: Math.round((averages.ollama_prewarm?.average || 0) * 1000) / 10,
+      current: {
+        healthy: current.ollama_healthy ? current.ollama_healthy.metric_value === '1' : null,
+        modelLoaded: current.ollama_model_loaded ? current.ollama_model_loaded.metric_value === '1' : null,
+        version: current.ollama_version?.metric_value || null,
+        model: current.ollama_model?.metric_value || null,
+        checkedAt: current.ollama_healthy?.timestamp || null
+      }
+    };
+  }
+
+  /**
+   * Compare prompt templates: usage from analyses, accuracy from the feedback
+   * given on each template's results
+   */
+  async getPromptTemplateStats(period = '7d') {
+    const since = Date.now() - this.parsePeriod(period) * 24 * 60 * 60 * 1000;
+
+    const usage = await this.db.all(`
+      SELECT 
+        prompt_template,
+        prompt_variant,
+        COUNT(*) as analyses,
+        AVG(ai_likelihood) as avg_likelihood,
+        AVG(confidence) as avg_confidence,
+        AVG(llm_response_time) as avg_response_time
+      FROM analyses 
+      WHERE timestamp > ? AND from_cache = 0 AND prompt_template IS NOT NULL
+      GROUP BY prompt_template, prompt_variant
+    `, [since]);
+
+    const accuracy = await this.db.all(`
+      SELECT 
+        prompt_version,
+        COUNT(*) as feedback_count,
+        -- The extension sends thumbs_up / thumbs_down; older clients 1 / -1
+        COUNT(CASE WHEN rating IN (1, 'thumbs_up') THEN 1 END) as positive,
+        COUNT(CASE WHEN rating IN (-1, 'thumbs_down') THEN 1 END) as negative,
+        AVG(CASE WHEN corrected_likelihood IS NOT NULL AND predicted_likelihood IS NOT NULL
+          THEN ABS(predicted_likelihood - corrected_likelihood) END) as avg_error
+      FROM feedback 
+      WHERE timestamp > ? AND prompt_version IS NOT NULL
+      GROUP BY prompt_version
+    `, [since]);
+    const accuracyByTemplate = Object.fromEntries(accuracy.map(row => [row.prompt_version, row]));
+
+    // Variants of one template are merged; the variant says which experiment arm it was
+    const templates = {};
+    usage.forEach(row => {
+      const stats = templates[row.prompt_template] || {
+        template: row.prompt_template,
+        variants: [],
+        analyses: 0,
+        totalLikelihood: 0,
+        totalConfidence: 0,
+        totalResponseTime: 0
+      };
+      if (row.prompt_variant && !stats.variants.includes(row.prompt_variant)) {
+        stats.variants.push(row.prompt_variant);
+      }
+      stats.analyses += row.analyses;
+      stats.totalLikelihood += row.avg_likelihood * row.analyses;
+      stats.totalConfidence += row.avg_confidence * row.analyses;
+      stats.totalResponseTime += (row.avg_response_time || 0) * row.analyses;
+      templates[row.prompt_template] = stats;
+    });
+
+    return {
+      period,
+      templates: Object.values(templates)
+        .map(({ totalLikelihood, totalConfidence, totalResponseTime, ...stats }) => {
+          const feedback = accuracyByTemplate[stats.template];
+          const rated = feedback ? feedback.positive + feedback.negative : 0;
+          return {
+            ...stats,
+            avgLikelihood: Math.round(totalLikelihood / stats.analyses),
+            avgConfidence: Math.round(totalConfidence / stats.analyses),
+            avgResponseTime: Math.round(totalResponseTime / stats.analyses),
+            feedbackCount: feedback?.feedback_count || 0,
+            // Share of thumbs-up among rated results
+            accuracy: rated > 0 ? Math.round(feedback.positive / rated * 1000) / 10 : null,
+            avgCorrectionError: feedback?.avg_error != null ? Math.round(feedback.avg_error * 10) / 10 : null
+          };
+        })
+        .sort((a, b) => b.analyses - a.analyses)
+    };
+  }
+
+  async getVotingStats(period = '7d') {
+    const since = Date.now() - this.parsePeriod(period) * 24 * 60 * 60 * 1000;
+
+    const totals = await this.db.get(`
+      SELECT 
+        COUNT(*) as voted_analyses,
+        AVG(vote_agreement) as avg_agreement,
+        AVG(vote_spread) as avg_spread,
+        COUNT(CASE WHEN vote_agreement < 100 THEN 1 END) as split_analyses
+      FROM analyses 
+      WHERE timestamp > ? AND from_cache = 0 AND vote_agreement IS NOT NULL
+    `, [since]);
+
+    const rows = await this.db.all(`
+      SELECT votes, ai_likelihood FROM analyses 
+      WHERE timestamp > ? AND from_cache = 0 AND vote_agreement IS NOT NULL
+    `, [since]);
+
+    // Per-model votes, and how far each model sits from the final score
+    const models = {};
+    rows.forEach(row => {
+      let votes = [];
+      try {
+        votes = JSON.parse(row.votes || '[]');
+      } catch {
+        return;
+      }
+
+      votes.forEach(vote => {
+        if (!models[vote.model]) {
+          models[vote.model] = { model: vote.model, votes: 0, failures: 0, totalLikelihood: 0, totalDeviation: 0 };
+        }
+        const stats = models[vote.model];
+        if (vote.success) {
+          stats.votes++;
+          stats.totalLikelihood += vote.likelihood;
+          stats.totalDeviation += Math.abs(vote.likelihood - row.ai_likelihood);
+        } else {
+          stats.failures++;
+        }
+      });
+    });
+
+    return {
+      period,
+      votedAnalyses: totals.voted_analyses || 0,
+      splitAnalyses: totals.split_analyses || 0,
+      avgAgreement: Math.round((totals.avg_agreement || 0) * 10) / 10,
+      avgSpread: Math.round((totals.avg_spread || 0) * 10) / 10,
+      models: Object.values(models)
+        .map(({ totalLikelihood, totalDeviation, ...stats }) => ({
+          ...stats,
+          avgLikelihood: stats.votes > 0 ? Math.round(totalLikelihood / stats.votes) : null,
+          avgDeviation: stats.votes > 0 ? Math.round(totalDeviation / stats.votes * 10) / 10 : null
+        }))
+        .sort((a, b) => b.votes - a.votes)
+    };
+  }
+
+  async getFallbackStats(period = '7d') {
+    const since = Date.now() - this.parsePeriod(period) * 24 * 60 * 60 * 1000;
+
+    const totals = await this.db.get(`
+      SELECT 
+        COUNT(*) as total_analyses,
+        COUNT(CASE WHEN fallback_count > 0 THEN 1 END) as degraded_analyses,
+        AVG(CASE WHEN fallback_count > 0 THEN fallback_count END) as avg_failed_attempts
+      FROM analyses 
+      WHERE timestamp > ? AND from_cache = 0
+    `, [since]);
+
+    const rows = await this.db.all(`
+      SELECT attempts FROM analyses 
+      WHERE timestamp > ? AND fallback_count > 0
+    `, [since]);
+
+    // Tally failures and successes per provider:model across the stored attempt lists
+    const providers = {};
+    rows.forEach(row => {
+      let attempts = [];
+      try {
+        attempts = JSON.parse(row.attempts || '[]');
+      } catch {
+        return;
+      }
+
+      attempts.forEach(attempt => {
+        const key = attempt.model ? `${attempt.provider}:${attempt.model}` : attempt.provider;
+        if (!providers[key]) {
+          providers[key] = { provider: key, failures: 0, successes: 0, totalDuration: 0, lastError: null };
+        }
+        const stats = providers[key];
+        stats.totalDuration += attempt.duration || 0;
+        if (attempt.success) {
+          stats.successes++;
+        } else {
+          stats.failures++;
+          stats.lastError = attempt.error;
+        }
+      });
+    });
+
+    const totalAnalyses = totals.total_analyses || 0;
+    return {
+      period,
+      totalAnalyses,
+      degradedAnalyses: totals.degraded_analyses || 0,
+      fallbackRate: totalAnalyses > 0 ? Math.round(totals.degraded_analyses / totalAnalyses * 1000) / 10 : 0,
+      avgFailedAttempts: Math.round((totals.avg_failed_attempts || 0) * 10) / 10,
+      providers: Object.values(providers)
+        .map(({ totalDuration, ...stats }) => ({
+          ...stats,
+          avgDuration: Math.round(totalDuration / (stats.failures + stats.successes))
+        }))
+        .sort((a, b) => b.failures - a.failures)
+    };
+  }
+
   async getContentInsights() {
     const insights = await this.db.getContentInsights();
     
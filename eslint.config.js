@@ -10,7 +10,28 @@ export default [
         chrome: 'readonly',
         browser: 'readonly',
         console: 'readonly',
-        fetch: 'readonly'
+        fetch: 'readonly',
+        // DOM of the content script and the settings page
+        window: 'readonly',
+        document: 'readonly',
+        // Timers and text decoding for streamed responses
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
+        TextDecoder: 'readonly',
+        // Cancellation and timeouts
+        AbortController: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        // Settings page prompts
+        confirm: 'readonly',
+        // Web Crypto for the secret store
+        TextEncoder: 'readonly',
+        atob: 'readonly',
+        btoa: 'readonly',
+        crypto: 'readonly',
+        // IndexedDB for the analysis cache
+        indexedDB: 'readonly',
+        IDBKeyRange: 'readonly'
       }
     },
     rules: {
@@ -21,7 +42,7 @@ export default [
       'no-var': 'error',
       
       // Formatting (handled by prettier, but good to have as backup)
-      'indent': ['error', 2],
+      'indent': ['error', 2, { SwitchCase: 1 }],
       'quotes': ['error', 'single'],
       'semi': ['error', 'always'],
       
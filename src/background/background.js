@@ -1,19 +1,40 @@
 /**
  * Background Service Worker for AI Content Detector Extension
- * Handles Ollama API communication and manages extension state
+ * Routes analyses to the registered providers and manages extension state
  */
 
-import OllamaClient from '../shared/ollama-client.js';
-import GoogleClient from '../shared/google-client.js';
+import { createProviderRegistry } from '../shared/providers/index.js';
+import WeightTrainer from '../shared/weight-trainer.js';
+import ProbabilityCalibrator from '../shared/probability-calibrator.js';
+import { createVote, combineVotes, MAX_VOTING_MODELS } from '../shared/model-voting.js';
+import EmbeddingCorpus from '../shared/embedding-corpus.js';
+import promptTemplates from '../shared/prompt-templates.js';
+import { scanForInjection } from '../shared/prompt-guard.js';
+import SecretStore, { SECRET_NAMES } from '../shared/secret-store.js';
+import AnalysisCache from '../shared/analysis-cache.js';
 
 class BackgroundService {
   constructor() {
-    this.ollamaClient = new OllamaClient();
-    this.googleClient = new GoogleClient();
-    this.analysisCache = new Map();
-    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    this.providerRegistry = createProviderRegistry();
+    // Provider clients used directly by the legacy settings messages
+    this.ollamaClient = this.providerRegistry.get('ollama').client;
+    this.googleClient = this.providerRegistry.get('google').client;
+    // Token counts of every Gemini request go to the dashboard
+    this.googleClient.quota.onUsage = usage => this.sendToDashboard('usage', usage);
+    this.ollamaHealthMonitor = this.providerRegistry.get('ollama').healthMonitor;
+    this.weightTrainer = new WeightTrainer();
+    this.ensembleWeightsLoaded = false;
+    this.calibrator = new ProbabilityCalibrator();
+    this.calibrationLoaded = false;
+    this.embeddingCorpus = new EmbeddingCorpus();
+    this.secretStore = new SecretStore();
+    this.analysisCache = new AnalysisCache();
+    this.activeAnalyses = new Map(); // requestId -> AbortController
     this.dashboardUrl = 'http://localhost:3000'; // Dashboard server URL
+    this.healthAlarmName = 'ollama-health-check';
+    this.lastHealthCheck = null;
     this.setupMessageHandlers();
+    this.setupHealthMonitor();
   }
 
 
@@ -25,6 +46,14 @@ class BackgroundService {
       return true; // Keep message channel open for async responses
     });
 
+    // Streaming analyses and model downloads report progress over a long-lived port
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'analysis-stream') {
+        this.handleAnalysisPort(port);
+      } else if (port.name === 'model-pull') {
+        this.handleModelPullPort(port);
+      }
+    });
 
 
     // Extension installation
@@ -56,36 +85,193 @@ class BackgroundService {
           sendResponse({ success: true, data: connectionTest });
           break;
         }
+        case 'getHealthStatus': {
+          // The last periodic check unless asked to check again
+          const status = (!request.refresh && this.lastHealthCheck) || await this.checkOllamaHealth();
+          sendResponse({ success: true, data: status });
+          break;
+        }
         case 'getAnalysisFromCache': {
-          const cached = this.getFromCache(request.textHash);
+          const settings = await this.getSettings();
+          const cached = await this.getFromCache(this.getCacheKey(request.text, settings), settings);
           sendResponse({ success: true, data: cached });
           break;
         }
+        case 'getCacheStats': {
+          const stats = await this.analysisCache.getStats();
+          sendResponse({ success: true, data: stats });
+          break;
+        }
+        case 'purgeCache': {
+          await this.analysisCache.clear({ resetCounters: true });
+          console.log('🗄️ Analysis cache purged');
+          sendResponse({ success: true, data: await this.analysisCache.getStats() });
+          break;
+        }
         case 'updateSettings': {
           await this.updateSettings(request.settings);
           sendResponse({ success: true });
           break;
         }
         case 'getSettings': {
-          const settings = await this.getSettings();
+          // API keys stay in the background
+          const settings = this.withoutSecrets(await this.getSettings());
           sendResponse({ success: true, data: settings });
           break;
         }
+        case 'getDefaultSettings': {
+          sendResponse({ success: true, data: this.getDefaultSettings() });
+          break;
+        }
         case 'getAvailableModels': {
           const models = await this.getAvailableModels();
           sendResponse({ success: true, models: models });
           break;
         }
         case 'validateGoogleApiKey': {
-          const result = await this.validateGoogleApiKey(request.apiKey);
+          // Without a key in the request, the stored one is checked
+          const result = await this.validateGoogleApiKey(request.apiKey || (await this.getSettings()).googleApiKey);
           sendResponse({ success: true, valid: result });
           break;
         }
         case 'getGoogleModels': {
-          const models = await this.getGoogleModels(request.apiKey);
+          const models = await this.getGoogleModels(request.apiKey || (await this.getSettings()).googleApiKey);
           sendResponse({ success: true, models: models });
           break;
         }
+        case 'getGeminiUsage': {
+          this.providerRegistry.get('google').configureQuota(await this.getSettings());
+          sendResponse({ success: true, data: await this.googleClient.quota.getStatus() });
+          break;
+        }
+        case 'trainEnsembleWeights': {
+          const weightSet = await this.weightTrainer.trainFromFeedback();
+          await this.applyEnsembleWeights();
+          // Cached scores were computed with the previous weights
+          await this.clearAnalysisCache();
+          sendResponse({ success: true, data: weightSet });
+          break;
+        }
+        case 'getEnsembleWeights': {
+          const store = await this.weightTrainer.getWeightStore();
+          sendResponse({ success: true, data: store });
+          break;
+        }
+        case 'activateEnsembleWeights': {
+          const weightSet = await this.weightTrainer.activateVersion(request.version);
+          await this.applyEnsembleWeights();
+          await this.clearAnalysisCache();
+          sendResponse({ success: true, data: weightSet });
+          break;
+        }
+        case 'fitCalibration': {
+          const calibration = await this.calibrator.fitFromFeedback(request.method);
+          await this.applyCalibration();
+          // Cached likelihoods were calibrated with the previous mapping
+          await this.clearAnalysisCache();
+          sendResponse({ success: true, data: calibration });
+          break;
+        }
+        case 'getCalibration': {
+          const calibration = await this.calibrator.getCalibration();
+          sendResponse({ success: true, data: calibration });
+          break;
+        }
+        case 'clearCalibration': {
+          await this.calibrator.clearCalibration();
+          await this.applyCalibration();
+          await this.clearAnalysisCache();
+          sendResponse({ success: true, data: null });
+          break;
+        }
+        case 'addCorpusExample': {
+          // Sent after feedback; a no-op while the embedding detector is off
+          const settings = await this.getSettings();
+          const result = settings.embeddingModel
+            ? await this.addCorpusExamples([{ text: request.text, label: request.label }], 'feedback')
+            : { added: 0, skipped: 1, total: null, model: null };
+          sendResponse({ success: true, data: result });
+          break;
+        }
+        case 'importCorpus': {
+          const result = await this.addCorpusExamples(request.examples || [], 'import');
+          sendResponse({ success: true, data: result });
+          break;
+        }
+        case 'rebuildCorpus': {
+          const result = await this.rebuildEmbeddingCorpus();
+          sendResponse({ success: true, data: result });
+          break;
+        }
+        case 'getCorpusStats': {
+          const stats = await this.embeddingCorpus.getStats();
+          sendResponse({ success: true, data: stats });
+          break;
+        }
+        case 'clearCorpus': {
+          await this.embeddingCorpus.clear();
+          sendResponse({ success: true, data: null });
+          break;
+        }
+        case 'getPromptTemplates': {
+          sendResponse({ success: true, data: promptTemplates.list() });
+          break;
+        }
+        case 'storeSecret': {
+          await this.storeSecret(request.name, request.value);
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'forgetSecret': {
+          await this.forgetSecret(request.name);
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'getSecretStatus': {
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'setSecretPassphrase': {
+          await this.secretStore.setPassphrase(request.passphrase);
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'unlockSecrets': {
+          await this.secretStore.unlock(request.passphrase);
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'lockSecrets': {
+          await this.secretStore.lock();
+          sendResponse({ success: true, data: await this.secretStore.getStatus() });
+          break;
+        }
+        case 'getProviders': {
+          const providers = this.providerRegistry.list().map(provider => provider.describe());
+          sendResponse({ success: true, data: providers });
+          break;
+        }
+        case 'listProviderModels': {
+          // The settings page may pass unsaved form values, e.g. a new API key
+          const settings = { ...(await this.getSettings()), ...(request.settings || {}) };
+          const result = await this.providerRegistry.listAllModels(settings);
+          sendResponse({ success: true, data: result });
+          break;
+        }
+        case 'checkProviderHealth': {
+          const settings = { ...(await this.getSettings()), ...(request.settings || {}) };
+          const health = {};
+          for (const provider of this.providerRegistry.list()) {
+            health[provider.id] = await provider.health(settings);
+          }
+          sendResponse({ success: true, data: health });
+          break;
+        }
+        case 'cancelAnalysis': {
+          const cancelled = this.cancelAnalysis(request.requestId);
+          sendResponse({ success: true, data: { cancelled } });
+          break;
+        }
         case 'ping': {
           console.log('Ping received, responding with pong');
           sendResponse({ success: true, data: 'pong' });
@@ -97,27 +283,121 @@ class BackgroundService {
       }
     } catch (error) {
       console.error('Background script error:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, missingModel: error.missingModel });
+    }
+  }
+
+  /**
+   * Run one analysis per port message, posting { type: 'progress' } updates
+   * followed by a single { type: 'result' } or { type: 'error' }
+   */
+  handleAnalysisPort(port) {
+    let connected = true;
+    const requestIds = new Set();
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      // Nobody is waiting for these results any more
+      requestIds.forEach(requestId => this.cancelAnalysis(requestId));
+    });
+
+    const post = (message) => {
+      if (connected) {
+        port.postMessage(message);
+      }
+    };
+
+    port.onMessage.addListener(async (request) => {
+      if (request.action !== 'analyzeText') return;
+
+      const startTime = Date.now();
+      requestIds.add(request.requestId);
+      try {
+        const result = await this.analyzeText(request.text, {
+          ...request.options,
+          requestId: request.requestId,
+          onProgress: progress => post({ type: 'progress', requestId: request.requestId, elapsed: Date.now() - startTime, ...progress })
+        });
+        post({ type: 'result', requestId: request.requestId, data: result });
+      } catch (error) {
+        console.error('Streaming analysis failed:', error);
+        post({ type: 'error', requestId: request.requestId, error: error.message, missingModel: error.missingModel });
+      } finally {
+        requestIds.delete(request.requestId);
+      }
+    });
+  }
+
+  /**
+   * Download an Ollama model, posting pull progress to the port. Closing the
+   * port cancels the download.
+   */
+  handleModelPullPort(port) {
+    let connected = true;
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      controller.abort(new Error('Model download cancelled'));
+    });
+
+    const post = (message) => {
+      if (connected) {
+        port.postMessage(message);
+      }
+    };
+
+    port.onMessage.addListener(async (request) => {
+      if (request.action !== 'pullModel') return;
+
+      try {
+        const result = await this.ollamaClient.pullModel(
+          request.model,
+          progress => post({ type: 'progress', model: request.model, ...progress }),
+          controller.signal
+        );
+        post({ type: 'done', data: result });
+      } catch (error) {
+        console.error('Model download failed:', error);
+        post({ type: 'error', error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Abort a running analysis. Returns false when no such analysis is running.
+   */
+  cancelAnalysis(requestId) {
+    const controller = this.activeAnalyses.get(requestId);
+    if (!controller) {
+      return false;
     }
+
+    console.log('🛑 Cancelling analysis', requestId);
+    controller.abort(new Error('Analysis cancelled'));
+    return true;
   }
 
+  /**
+   * Analyze text with the configured provider chain. options.metadata is sent
+   * to the dashboard; options.onProgress receives streaming progress;
+   * options.requestId lets cancelAnalysis() abort the request.
+   */
   async analyzeText(text, options = {}) {
     if (!text || text.trim().length < 50) {
       throw new Error('Text too short for reliable analysis (minimum 50 characters)');
     }
 
     const requestStartTime = Date.now();
+    const settings = await this.getSettings();
 
     // Check cache first
-    const textHash = this.hashText(text);
-    const cached = this.getFromCache(textHash);
+    const cacheKey = this.getCacheKey(text, settings);
+    const cached = await this.getFromCache(cacheKey, settings);
     if (cached) {
-      // Add cache hit timing and model info for dashboard
+      // Add cache hit timing for dashboard; modelName stays the one that produced it
       const enhancedCached = {
         ...cached,
         fromCache: true,
         analysisTime: Date.now() - requestStartTime,
-        modelName: cached.modelName || (await this.getSettings()).ollamaModel || (await this.getSettings()).model || 'gemma3n:e4b',
         cacheHitTime: Date.now() - requestStartTime
       };
       
@@ -131,64 +411,111 @@ class BackgroundService {
       return enhancedCached;
     }
 
-    // Get current settings
-    const settings = await this.getSettings();
+    if (!this.ensembleWeightsLoaded) {
+      await this.applyEnsembleWeights();
+    }
+    if (!this.calibrationLoaded) {
+      await this.applyCalibration();
+    }
     
-    let analysis, modelInfo, selectedModel, serviceVersion, useGoogleAPI;
     const analysisStartTime = Date.now();
-
-    // Determine which LLM service to use for analysis
-    console.log('🔍 Analysis routing - Method:', settings.analysisMethod, 'Google API Key:', settings.googleApiKey ? 'SET' : 'NOT SET');
-    
-    useGoogleAPI = false;
-    
-    // Parse unified model selection
-    const unifiedModel = settings.selectedModel || '';
-    const [modelSource, modelName] = unifiedModel.includes(':') ? unifiedModel.split(':', 2) : ['', ''];
-    
-    // Determine which service to use
-    if (modelSource === 'google' && settings.googleApiKey) {
-      useGoogleAPI = true;
-      selectedModel = modelName;
-    } else if (modelSource === 'ollama' || !modelSource) {
-      // Use Ollama - either explicitly selected or as fallback
-      useGoogleAPI = false;
-      selectedModel = modelName || settings.ollamaModel || settings.model || 'gemma3n:e4b';
-    } else if ((settings.analysisMethod === 'ensemble' || settings.analysisMethod === 'llm-only') && settings.googleApiKey) {
-      // Fallback to Google if available
-      useGoogleAPI = true;
-      selectedModel = settings.googleModel || 'gemini-pro'; // Legacy fallback for backward compatibility
-    } else {
-      // Final fallback to Ollama
-      useGoogleAPI = false;
-      selectedModel = settings.ollamaModel || settings.model || 'gemma3n:e4b';
+    const analysisMethod = settings.analysisMethod || 'ensemble';
+    const chain = this.buildFallbackChain(settings, analysisMethod);
+    console.log('🔍 Analysis routing - Method:', analysisMethod, 'Chain:', chain.join(' → '));
+    const promptTemplate = promptTemplates.assign(settings, text);
+    const promptInjection = scanForInjection(text);
+    if (promptInjection.detected) {
+      console.warn('🛡️ Possible prompt injection in analyzed text:', promptInjection.matches.map(match => match.id).join(', '));
     }
-    
-    if (useGoogleAPI) {
-      // Use Google Gemini API
-      this.googleClient.setApiKey(settings.googleApiKey);
-      
-      console.log('🤖 Using Google Gemini API for LLM analysis with model:', selectedModel);
-      analysis = await this.googleClient.analyzeText(text, selectedModel, settings.systemInstructions);
-      serviceVersion = 'Google Gemini API';
-      modelInfo = { name: selectedModel, source: 'google' };
-      
-    } else {
-      // Use Ollama (fallback or default)
-      const connectionTest = await this.ollamaClient.testConnection();
-      if (!connectionTest.success) {
-        throw new Error(`Ollama not available: ${connectionTest.error}`);
+
+    // The configured timeout is one deadline for the whole request: a hung
+    // model times out and each fallback only gets the time that is left.
+    // The request's controller is for cancellation.
+    const requestId = options.requestId || `analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const controller = new AbortController();
+    const timeoutSeconds = settings.analysisTimeout || 30;
+    const deadline = {
+      at: Date.now() + timeoutSeconds * 1000,
+      message: `Analysis timed out after ${timeoutSeconds} seconds. Increase the analysis timeout in settings or choose a faster model.`
+    };
+    this.activeAnalyses.set(requestId, controller);
+
+    // Try each provider in order until one succeeds
+    const attempts = [];
+    let outcome = null;
+    try {
+      for (const entry of chain) {
+        const { provider, model } = this.providerRegistry.parseModelId(entry);
+        const attemptStartTime = Date.now();
+        let attempt = null;
+        try {
+          const resolved = this.providerRegistry.resolve(entry);
+          // Statistics are computed locally, so they still answer once the deadline has passed
+          attempt = this.createAttemptController(controller.signal, resolved.provider.requiresModel ? deadline : null);
+          if (options.onProgress) {
+            options.onProgress({ stage: 'provider', provider: resolved.provider.name, model: resolved.model });
+          }
+          outcome = await this.withAbort(resolved.provider.analyze(text, {
+            model: resolved.model,
+            settings,
+            method: analysisMethod,
+            promptTemplate: promptTemplate.id,
+            signal: attempt.signal,
+            onProgress: options.onProgress && (progress => options.onProgress({ stage: 'llm', ...progress }))
+          }), attempt.signal);
+          outcome.service = resolved.provider.id;
+          outcome.promptTemplate = promptTemplate;
+          attempts.push({ provider, model, success: true, error: null, duration: Date.now() - attemptStartTime });
+          break;
+        } catch (error) {
+          if (controller.signal.aborted) {
+            // Cancellation ends the request instead of moving to a fallback
+            throw controller.signal.reason;
+          }
+          console.warn(`⚠️ Analysis with ${entry} failed:`, error.message);
+          attempts.push({
+            provider,
+            model,
+            success: false,
+            error: error.message,
+            missingModel: error.missingModel || null,
+            timedOut: !!attempt && attempt.signal.aborted,
+            duration: Date.now() - attemptStartTime
+          });
+        } finally {
+          attempt?.clear();
+        }
       }
 
-      serviceVersion = await this.ollamaClient.getOllamaVersion();
-      modelInfo = await this.ollamaClient.getModelInfo(selectedModel);
+      // Extra evidence: other models' votes and the nearest labeled examples
+      let voting = null;
+      let knn = null;
+      if (outcome && outcome.analysis.llmAnalysis && (settings.votingModels || []).length > 0) {
+        voting = await this.runModelVote(text, outcome, settings, controller.signal, deadline, options.onProgress);
+      }
+      if (outcome && settings.embeddingModel && analysisMethod === 'ensemble') {
+        knn = await this.runEmbeddingDetector(text, settings, controller.signal, deadline);
+      }
+      if (voting || knn) {
+        outcome.analysis = this.rescoreAnalysis(text, outcome.analysis, analysisMethod, voting, knn);
+      }
+    } finally {
+      this.activeAnalyses.delete(requestId);
+    }
 
-      // Update ollama client model if settings changed
-      this.ollamaClient.setModel(selectedModel);
-      
-      console.log('🤖 Using Ollama for LLM analysis with model:', selectedModel);
-      analysis = await this.ollamaClient.analyzeText(text, settings.systemInstructions);
+    if (!outcome) {
+      const summary = attempts.map(attempt => `${attempt.provider}${attempt.model ? ':' + attempt.model : ''} (${attempt.error})`);
+      const failure = new Error(attempts.some(attempt => attempt.timedOut)
+        ? deadline.message
+        : `All analysis providers failed: ${summary.join('; ')}`);
+      // The first missing Ollama model can be downloaded from the error overlay
+      failure.missingModel = attempts.find(attempt => attempt.missingModel)?.missingModel;
+      throw failure;
     }
+
+    const { analysis, modelInfo, selectedModel, serviceVersion, service } = outcome;
+    // The statistical provider sends no prompt
+    const usedPrompt = service === 'statistical' ? null : promptTemplate;
     
     const analysisEndTime = Date.now();
     
@@ -204,7 +531,15 @@ class BackgroundService {
       modelName: selectedModel,
       modelInfo: modelInfo,
       serviceVersion: serviceVersion,
-      analysisService: useGoogleAPI ? 'google' : 'ollama',
+      analysisService: service,
+      promptTemplate: usedPrompt,
+      promptVersion: usedPrompt ? usedPrompt.id : null,
+      promptInjection: promptInjection,
+      uncertaintyFlags: [
+        ...(promptInjection.detected ? ['prompt_injection'] : []),
+        // The LLM refused the text and the score is statistical only
+        ...(analysis.resultType === 'blocked' ? ['llm_blocked'] : [])
+      ],
       extensionVersion: chrome.runtime.getManifest()?.version || '1.0.0',
       
       // Settings context
@@ -214,9 +549,13 @@ class BackgroundService {
         sensitivityLevel: settings.sensitivityLevel
       },
       
+      // Fallback chain
+      attempts: attempts,
+      fallbackUsed: attempts.length > 1,
+      
       // Cache performance
       fromCache: false,
-      cacheSize: this.analysisCache.size,
+      cacheSize: await this.getCacheSize(),
       
       // Analysis context
       textLength: text.length,
@@ -225,7 +564,7 @@ class BackgroundService {
     };
     
     // Cache result
-    this.addToCache(textHash, enhancedAnalysis);
+    await this.addToCache(cacheKey, enhancedAnalysis, settings);
     
     // Update badge with result
     this.updateBadge(enhancedAnalysis.likelihood);
@@ -240,6 +579,251 @@ class BackgroundService {
     return enhancedAnalysis;
   }
 
+  /**
+   * Run the voting models on text and combine their verdicts with the one in
+   * outcome. Failed voters, and those the deadline leaves no time for, are
+   * recorded but do not count.
+   */
+  async runModelVote(text, outcome, settings, signal, deadline, onProgress = null) {
+    const primaryId = `${outcome.service}:${outcome.selectedModel}`;
+    const votes = [createVote(primaryId, outcome.analysis)];
+    const voters = settings.votingModels
+      .filter((entry, index) => entry !== primaryId && settings.votingModels.indexOf(entry) === index)
+      .slice(0, MAX_VOTING_MODELS - 1);
+
+    for (const entry of voters) {
+      const voteStartTime = Date.now();
+      const attempt = this.createAttemptController(signal, deadline);
+      try {
+        const { provider, model } = this.providerRegistry.resolve(entry);
+        if (!provider.requiresModel) {
+          throw new Error(`${provider.name} cannot vote; voting needs an LLM`);
+        }
+        if (onProgress) {
+          onProgress({ stage: 'provider', provider: provider.name, model, voting: true });
+        }
+        const result = await this.withAbort(provider.analyze(text, {
+          model,
+          settings,
+          method: 'llm-only',
+          promptTemplate: outcome.promptTemplate.id,
+          signal: attempt.signal,
+          onProgress: onProgress && (progress => onProgress({ stage: 'llm', voting: true, ...progress }))
+        }), attempt.signal);
+        // A blocked result carries the statistical score, not this model's verdict
+        if (result.analysis.resultType === 'blocked') {
+          throw new Error(result.analysis.blocked.explanation);
+        }
+        votes.push(createVote(entry, result.analysis, Date.now() - voteStartTime));
+      } catch (error) {
+        if (signal.aborted) {
+          throw signal.reason;
+        }
+        console.warn(`⚠️ Voting model ${entry} failed:`, error.message);
+        votes.push({ model: entry, success: false, error: error.message, duration: Date.now() - voteStartTime });
+      } finally {
+        attempt.clear();
+      }
+    }
+
+    const voting = combineVotes(votes);
+    return voting;
+  }
+
+  /**
+   * kNN verdict from the embedding corpus, or null when the corpus cannot
+   * answer. Embedding failures are logged and leave the analysis unchanged.
+   */
+  async runEmbeddingDetector(text, settings, signal, deadline) {
+    const attempt = this.createAttemptController(signal, deadline);
+    try {
+      const corpus = await this.embeddingCorpus.getCorpus();
+      if (corpus.model !== settings.embeddingModel || corpus.entries.length < this.embeddingCorpus.minExamples) {
+        return null;
+      }
+
+      const embedding = await this.withAbort(this.ollamaClient.getEmbedding(text, settings.embeddingModel, attempt.signal), attempt.signal);
+      const knn = this.embeddingCorpus.predict(corpus, embedding, settings.embeddingModel, settings.embeddingNeighbors);
+      return knn;
+    } catch (error) {
+      if (signal.aborted) {
+        throw signal.reason;
+      }
+      console.warn('⚠️ Embedding detector failed:', error.message);
+      return null;
+    } finally {
+      attempt.clear();
+    }
+  }
+
+  /**
+   * Rescore analysis with the vote and kNN evidence, using the shared weights
+   * and calibration
+   */
+  rescoreAnalysis(text, analysis, analysisMethod, voting, knn) {
+    const usableVote = voting && voting.modelCount > 1 ? voting : null;
+    if (!usableVote && !knn) {
+      return { ...analysis, voting, knn };
+    }
+
+    const analyzer = this.providerRegistry.get('statistical').statisticalAnalyzer;
+    const ensembleResult = analyzer.calculateEnsembleScore(
+      analyzer.analyze(text),
+      analysis.llmAnalysis,
+      analysisMethod,
+      usableVote,
+      knn
+    );
+
+    return {
+      ...analysis,
+      likelihood: ensembleResult.likelihood,
+      rawLikelihood: ensembleResult.rawLikelihood,
+      calibratedLikelihood: ensembleResult.calibratedLikelihood,
+      confidence: ensembleResult.confidence,
+      votingScore: ensembleResult.votingScore,
+      knnScore: ensembleResult.knnScore,
+      voting,
+      knn
+    };
+  }
+
+  /**
+   * Embed labeled examples with the configured embedding model and add them
+   * to the corpus
+   */
+  async addCorpusExamples(examples, source) {
+    const settings = await this.getSettings();
+    if (!settings.embeddingModel) {
+      throw new Error('No embedding model configured');
+    }
+
+    const result = await this.embeddingCorpus.addExamples(
+      examples,
+      settings.embeddingModel,
+      text => this.ollamaClient.getEmbedding(text, settings.embeddingModel),
+      source
+    );
+    console.log(`🧭 Added ${result.added} examples to the embedding corpus (${result.total} total)`);
+    return result;
+  }
+
+  async rebuildEmbeddingCorpus() {
+    const settings = await this.getSettings();
+    if (!settings.embeddingModel) {
+      throw new Error('No embedding model configured');
+    }
+
+    return this.embeddingCorpus.rebuild(
+      settings.embeddingModel,
+      text => this.ollamaClient.getEmbedding(text, settings.embeddingModel)
+    );
+  }
+
+  /**
+   * Controller for one step of an analysis. It aborts when signal, the
+   * request's cancellation, does, or with deadline.message once deadline.at
+   * has passed (straight away when it already has). Without a deadline only
+   * cancellation applies. Call clear() once the step has settled.
+   */
+  createAttemptController(signal, deadline = null) {
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(signal.reason);
+    if (signal.aborted) {
+      onCancel();
+    } else {
+      signal.addEventListener('abort', onCancel, { once: true });
+    }
+
+    let timeoutId = null;
+    if (deadline) {
+      const onTimeout = () => controller.abort(new Error(deadline.message));
+      const remaining = deadline.at - Date.now();
+      if (remaining > 0) {
+        timeoutId = setTimeout(onTimeout, remaining);
+      } else {
+        onTimeout();
+      }
+    }
+
+    return {
+      signal: controller.signal,
+      clear: () => {
+        clearTimeout(timeoutId);
+        signal.removeEventListener('abort', onCancel);
+      }
+    };
+  }
+
+  /**
+   * Settle with promise, or reject with the abort reason as soon as signal
+   * aborts, so steps that ignore the signal cannot outlive the timeout
+   */
+  withAbort(promise, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+      // A signal that aborted before the step started never fires again
+      if (signal.aborted) {
+        onAbort();
+      }
+    });
+  }
+
+  /**
+   * Ordered list of unified model ids to try: the selected model first, then
+   * the configured fallbacks
+   */
+  buildFallbackChain(settings, analysisMethod) {
+    if (analysisMethod === 'statistical-only') {
+      return ['statistical'];
+    }
+
+    const chain = [this.resolvePrimaryModel(settings), ...(settings.fallbackChain || [])];
+    return chain.filter((entry, index) => entry && chain.indexOf(entry) === index);
+  }
+
+  resolvePrimaryModel(settings) {
+    const selected = settings.selectedModel || '';
+    const { provider, model } = this.providerRegistry.parseModelId(selected);
+    const registered = this.providerRegistry.get(provider);
+
+    if (registered && (model || !registered.requiresModel)) {
+      return selected;
+    }
+
+    // Nothing usable selected: fall back to the legacy single-model setting
+    return `ollama:${settings.ollamaModel || settings.model || 'gemma3n:e4b'}`;
+  }
+
+  getScoringAnalyzers() {
+    // Each provider scores with its own analyzer, so keep them all in step
+    return this.providerRegistry.list()
+      .map(provider => provider.statisticalAnalyzer)
+      .filter(analyzer => analyzer !== null);
+  }
+
+  async applyEnsembleWeights() {
+    const weightSet = await this.weightTrainer.getActiveWeightSet();
+    this.getScoringAnalyzers().forEach(analyzer => analyzer.setWeights(weightSet));
+    this.ensembleWeightsLoaded = true;
+
+    console.log('⚖️ Ensemble weights:', weightSet ? `version ${weightSet.version}` : 'defaults');
+    return weightSet;
+  }
+
+  async applyCalibration() {
+    const calibration = await this.calibrator.getCalibration();
+    this.getScoringAnalyzers().forEach(analyzer => analyzer.setCalibration(calibration));
+    this.calibrationLoaded = true;
+
+    console.log('📐 Probability calibration:', calibration ? calibration.method : 'none');
+    return calibration;
+  }
+
   hashText(text) {
     // Simple hash function for caching
     let hash = 0;
@@ -251,21 +835,77 @@ class BackgroundService {
     return hash.toString();
   }
 
-  getFromCache(textHash) {
-    return this.analysisCache.get(textHash);
+  /**
+   * Cache key for text analyzed under settings. It covers everything that
+   * decides the verdict besides the text, so switching model, prompt template,
+   * custom instructions or method never returns another setup's result.
+   */
+  getCacheKey(text, settings) {
+    const analysisMethod = settings.analysisMethod || 'ensemble';
+    const [primaryModel] = this.buildFallbackChain(settings, analysisMethod);
+    const promptTemplate = promptTemplates.assign(settings, text);
+    const instructions = (settings.systemInstructions || '').trim();
+
+    return [
+      this.hashText(text),
+      primaryModel,
+      (settings.votingModels || []).join(','),
+      promptTemplate.id,
+      instructions ? this.hashText(instructions) : '',
+      analysisMethod
+    ].join('|');
   }
 
-  addToCache(textHash, analysis) {
-    // Limit cache size to prevent memory issues
-    if (this.analysisCache.size > 100) {
-      const firstKey = this.analysisCache.keys().next().value;
-      this.analysisCache.delete(firstKey);
+  /**
+   * Cached analysis, or null when there is none or caching is turned off.
+   * A broken cache never fails an analysis; it only costs the lookup.
+   */
+  async getFromCache(cacheKey, settings) {
+    if (settings.cacheEnabled === false) {
+      return null;
+    }
+
+    try {
+      return await this.analysisCache.get(cacheKey, this.getCacheTtl(settings));
+    } catch (error) {
+      console.warn('Analysis cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async addToCache(cacheKey, analysis, settings) {
+    if (settings.cacheEnabled === false) {
+      return;
+    }
+
+    try {
+      await this.analysisCache.set(cacheKey, {
+        ...analysis,
+        timestamp: Date.now()
+      }, this.getCacheTtl(settings));
+    } catch (error) {
+      console.warn('Analysis cache write failed:', error.message);
+    }
+  }
+
+  getCacheTtl(settings) {
+    return (settings.cacheDuration || 24) * 60 * 60 * 1000;
+  }
+
+  async getCacheSize() {
+    try {
+      return await this.analysisCache.size();
+    } catch {
+      return 0;
+    }
+  }
+
+  async clearAnalysisCache() {
+    try {
+      await this.analysisCache.clear();
+    } catch (error) {
+      console.warn('Analysis cache could not be cleared:', error.message);
     }
-    
-    this.analysisCache.set(textHash, {
-      ...analysis,
-      timestamp: Date.now()
-    });
   }
 
   async updateBadge(likelihood) {
@@ -280,13 +920,147 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Check Ollama on an alarm so analyses can rely on the cached status.
+   * Alarms outlive the service worker, which they wake up again.
+   */
+  setupHealthMonitor() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.healthAlarmName) {
+        this.checkOllamaHealth();
+      }
+    });
+
+    // The settings page writes to storage directly, so follow interval changes there
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.aiDetectorSettings?.newValue) {
+        this.scheduleHealthChecks(changes.aiDetectorSettings.newValue);
+      }
+    });
+
+    this.getSettings().then(settings => this.scheduleHealthChecks(settings));
+  }
+
+  async scheduleHealthChecks(settings) {
+    const periodInMinutes = Math.max(parseFloat(settings.healthCheckInterval) || 1, 0.5);
+    const existing = await chrome.alarms.get(this.healthAlarmName);
+
+    // Re-creating an alarm restarts its period, so only do it when the period changed
+    if (!existing || existing.periodInMinutes !== periodInMinutes) {
+      await chrome.alarms.create(this.healthAlarmName, { delayInMinutes: 0.1, periodInMinutes });
+      console.log(`🩺 Ollama health check every ${periodInMinutes} min`);
+    }
+  }
+
+  /**
+   * Check Ollama and whether the selected model is loaded, pre-warm it when
+   * it isn't and report the result to the dashboard
+   */
+  async checkOllamaHealth() {
+    const settings = await this.getSettings();
+    const { provider, model } = this.providerRegistry.parseModelId(this.resolvePrimaryModel(settings));
+    const ollamaModel = provider === 'ollama' ? model : null;
+    const status = await this.ollamaHealthMonitor.check(ollamaModel);
+
+    let prewarm = null;
+    if (status.healthy && ollamaModel && !status.modelLoaded && settings.ollamaPrewarm !== false) {
+      try {
+        prewarm = await this.ollamaHealthMonitor.prewarm(ollamaModel, settings.ollamaKeepAlive || '30m');
+      } catch (error) {
+        console.warn('⚠️ Could not pre-warm Ollama model:', error.message);
+        prewarm = { model: ollamaModel, error: error.message };
+      }
+    }
+
+    await this.sendToDashboard('metric', {
+      metrics: {
+        ollama_healthy: status.healthy ? 1 : 0,
+        ollama_latency_ms: status.latency,
+        ollama_model_loaded: status.modelLoaded ? 1 : 0,
+        ollama_loaded_models: status.loadedModels.length,
+        ...(prewarm && { ollama_prewarm: prewarm.error ? 0 : 1 })
+      },
+      context: {
+        version: status.version,
+        model: ollamaModel,
+        error: status.error
+      },
+      timestamp: status.checkedAt
+    });
+
+    this.lastHealthCheck = { ...this.ollamaHealthMonitor.status, prewarm };
+    return this.lastHealthCheck;
+  }
+
   async updateSettings(settings) {
     // Update Google client if API key provided
     if (settings.googleApiKey) {
       this.googleClient.setApiKey(settings.googleApiKey);
     }
-    
-    return chrome.storage.sync.set({ aiDetectorSettings: settings });
+
+    // API keys go to the encrypted local store, never to synced storage
+    for (const name of SECRET_NAMES) {
+      if (settings[name]) {
+        await this.secretStore.setSecret(name, settings[name]);
+      }
+    }
+    return chrome.storage.sync.set({ aiDetectorSettings: this.withoutSecrets(settings) });
+  }
+
+  /**
+   * Settings as they are synced: no API keys and no lock state
+   */
+  withoutSecrets(settings) {
+    const publicSettings = { ...settings };
+    SECRET_NAMES.forEach(name => delete publicSettings[name]);
+    delete publicSettings.lockedSecrets;
+    return publicSettings;
+  }
+
+  async storeSecret(name, value) {
+    if (!value) {
+      throw new Error('No API key provided');
+    }
+    await this.secretStore.setSecret(name, value.trim());
+    if (name === 'googleApiKey') {
+      this.googleClient.setApiKey(value.trim());
+    }
+  }
+
+  async forgetSecret(name) {
+    await this.secretStore.forgetSecret(name);
+    if (name === 'googleApiKey') {
+      this.googleClient.setApiKey(null);
+    }
+    console.log(`🔐 Forgot stored ${name}`);
+  }
+
+  /**
+   * Older versions kept API keys in synced settings, in plain text. Move
+   * them to the secret store and drop them from sync.
+   */
+  async moveSecretsToStore(settings) {
+    const names = SECRET_NAMES.filter(name => name in settings);
+    if (names.length === 0) {
+      return settings;
+    }
+
+    try {
+      for (const name of names) {
+        if (settings[name]) {
+          await this.secretStore.setSecret(name, settings[name]);
+        }
+      }
+    } catch (error) {
+      // A locked store can't take them yet; keep using them from sync until it is unlocked
+      console.warn('Could not move API keys out of synced settings:', error.message);
+      return settings;
+    }
+
+    const remaining = this.withoutSecrets(settings);
+    await chrome.storage.sync.set({ aiDetectorSettings: remaining });
+    console.log('🔐 Moved API keys from synced settings to encrypted local storage');
+    return remaining;
   }
 
   async validateGoogleApiKey(apiKey) {
@@ -307,22 +1081,63 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Synced settings with the decrypted API keys merged in. lockedSecrets
+   * names the keys that are stored but locked behind the passphrase.
+   */
   async getSettings() {
     const result = await chrome.storage.sync.get('aiDetectorSettings');
-    return result.aiDetectorSettings || {
+    const stored = result.aiDetectorSettings ? await this.moveSecretsToStore(result.aiDetectorSettings) : {};
+    const { values, locked } = await this.secretStore.getSecrets();
+    // Settings added since they were saved take their defaults
+    return { ...this.getDefaultSettings(), ...stored, ...values, lockedSecrets: locked };
+  }
+
+  /**
+   * The one set of defaults, used on install and by the settings page. New
+   * settings are added here.
+   */
+  getDefaultSettings() {
+    return {
       // AI Model Configuration
       ollamaUrl: 'http://localhost:11434',
       ollamaModel: 'gemma3n:e4b', // Legacy compatibility
-      googleApiKey: '',
       googleModel: 'gemini-pro', // Legacy compatibility
+      googleRequestsPerMinute: 15, // Gemini requests per minute; 0 turns the limit off
+      googleDailyTokenBudget: 0, // Gemini tokens per day; 0 means no budget
+      openaiBaseUrl: '', // OpenAI-compatible server, e.g. http://localhost:1234/v1
       
       // Analysis Preferences  
       analysisMethod: 'ensemble',
       selectedModel: '', // Unified model selection
+      fallbackChain: [], // Models tried in order when the selected one fails
+      votingModels: [], // Extra models whose verdicts are combined with the selected model's
+      embeddingModel: '', // Ollama embedding model for the kNN detector; empty turns it off
+      embeddingNeighbors: 5,
       systemInstructions: '', // Custom LLM instructions
+      promptTemplate: 'standard@1.1', // Prompt template id (name@version)
+      promptExperiment: { enabled: false, challenger: 'calibrated@1.1', traffic: 50 }, // A/B test: traffic % of texts use the challenger
       confidenceThreshold: 70,
       cacheEnabled: true,
       cacheDuration: 24,
+      chunkTokenBudget: 500, // Long texts are analyzed in chunks of this many tokens
+      selfConsistencySamples: { ollama: 1, openai: 1, google: 1 }, // Samples per verdict; above 1 derives confidence from their spread
+      analysisTimeout: 30, // Seconds before an analysis, fallbacks included, times out
+      healthCheckInterval: 1, // Minutes between background Ollama health checks
+      ollamaPrewarm: true, // Load the selected Ollama model before the first analysis
+      ollamaKeepAlive: '30m', // How long Ollama keeps the model loaded
+      maxTextLength: 2000,
+      debugMode: false,
+
+      // Feedback & Privacy
+      feedbackEnabled: true,
+      userExpertise: 'intermediate',
+      anonymizationLevel: 'medium',
+      dataRetention: 90,
+
+      // Dashboard & Analytics
+      dashboardUrl: 'http://localhost:3000',
+      realtimeUpdates: true,
       
       // Legacy compatibility
       autoAnalyze: true,
@@ -345,28 +1160,7 @@ class BackgroundService {
   handleInstallation(details) {
     if (details.reason === 'install') {
       console.log('AI Content Detector installed');
-      // Set default settings
-      this.updateSettings({
-        // AI Model Configuration
-        ollamaUrl: 'http://localhost:11434',
-        ollamaModel: 'gemma3n:e4b', // Legacy compatibility
-        googleApiKey: '',
-        googleModel: 'gemini-pro', // Legacy compatibility
-        
-        // Analysis Preferences
-        analysisMethod: 'ensemble',
-        selectedModel: '', // Unified model selection
-        systemInstructions: '', // Custom LLM instructions
-        confidenceThreshold: 70,
-        cacheEnabled: true,
-        cacheDuration: 24,
-        
-        // Legacy compatibility
-        autoAnalyze: true,
-        minTextLength: 100,
-        model: 'gemma3n:e4b',
-        sensitivityLevel: 'medium'
-      });
+      this.updateSettings(this.getDefaultSettings());
     } else if (details.reason === 'update') {
       console.log('AI Content Detector updated to version', chrome.runtime.getManifest().version);
     }
@@ -425,7 +1219,8 @@ class BackgroundService {
 
   async sendToDashboard(type, data) {
     try {
-      const endpoint = type === 'analysis' ? '/api/analysis' : '/api/feedback';
+      const endpoints = { analysis: '/api/analysis', feedback: '/api/feedback', metric: '/api/metrics', usage: '/api/usage' };
+      const endpoint = endpoints[type];
       
       // Enhance data with additional context
       const enhancedData = {
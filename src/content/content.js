@@ -27,6 +27,10 @@ function initializeContentAnalyzer() {
       this.selectionTooltip = null;
       this.selectionTimeout = null;
       this.lastMousePosition = { x: 0, y: 0 }; // Track mouse position for tooltip
+      this.articleElement = null; // Element the last article extraction came from
+      this.highlightsActive = false;
+      this.highlightedParagraphs = [];
+      this.highlightTooltip = null;
       this.setupMessageListener();
       this.setupPageObserver();
       this.setupSelectionHandler();
@@ -112,6 +116,7 @@ function initializeContentAnalyzer() {
 
       let content = '';
       let source = 'unknown';
+      let articleElement = null;
 
       // Try article selectors first
       for (const selector of articleSelectors) {
@@ -120,6 +125,7 @@ function initializeContentAnalyzer() {
           content = this.extractTextFromElement(element);
           if (content.length > 200) { // Minimum meaningful content
             source = selector;
+            articleElement = element;
             break;
           }
         }
@@ -135,12 +141,15 @@ function initializeContentAnalyzer() {
 
       // Strategy 3: Fallback to heuristic-based extraction
       if (content.length < 200) {
-        content = this.extractByHeuristics();
+        const block = this.extractByHeuristics();
+        content = block ? block.text : '';
+        articleElement = block ? block.element : null;
         source = 'heuristics';
       }
 
       // Clean and validate content
       content = this.cleanContent(content);
+      this.articleElement = articleElement;
 
       return {
         text: content,
@@ -290,22 +299,26 @@ function initializeContentAnalyzer() {
       // Sort by text density and length
       textBlocks.sort((a, b) => (b.density * b.length) - (a.density * a.length));
 
-      return textBlocks.length > 0 ? textBlocks[0].text : '';
+      return textBlocks.length > 0 ? textBlocks[0] : null;
     }
 
     cleanContent(content) {
       if (!content) return '';
 
+      // Keep blank-line paragraph breaks so paragraphs can be scored separately
       return content
-        // Remove extra whitespace
-        .replace(/\s+/g, ' ')
-        // Remove multiple newlines
-        .replace(/\n\s*\n/g, '\n\n')
-        // Trim
-        .trim();
+        .split(/\n\s*\n/)
+        // Remove extra whitespace within each paragraph
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(paragraph => paragraph.length > 0)
+        .join('\n\n');
     }
 
-    async analyzeCurrentPage() {
+    /**
+     * Analyze the page's article text. onProgress, when given, receives the
+     * streamed progress; cancelCurrentAnalysis() aborts the request.
+     */
+    async analyzeCurrentPage(onProgress = null) {
       if (this.isAnalyzing) {
         throw new Error('Analysis already in progress');
       }
@@ -319,28 +332,32 @@ function initializeContentAnalyzer() {
           throw new Error('Not enough content to analyze (minimum 50 characters)');
         }
 
-        // Send to background script for analysis
-        const response = await chrome.runtime.sendMessage({
-          action: 'analyzeText',
-          text: content.text,
-          options: {
+        // Send to background script over a port, with a request id so the
+        // analysis can be cancelled like a selection analysis
+        const requestId = `analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.currentAnalysisRequestId = requestId;
+        let analysis;
+        try {
+          analysis = await this.requestStreamingAnalysis(requestId, content.text, {
             metadata: {
               url: content.url,
               title: content.title,
               wordCount: content.wordCount,
               source: content.source
             }
+          }, progress => {
+            if (onProgress) onProgress(progress);
+          });
+        } finally {
+          if (this.currentAnalysisRequestId === requestId) {
+            this.currentAnalysisRequestId = null;
           }
-        });
-
-        if (!response.success) {
-          throw new Error(response.error);
         }
 
         this.lastAnalyzedContent = content;
         return {
           content: content,
-          analysis: response.data
+          analysis: analysis
         };
       } finally {
         this.isAnalyzing = false;
@@ -402,19 +419,19 @@ function initializeContentAnalyzer() {
       document.addEventListener('keyup', this.handleSelection.bind(this));
       document.addEventListener('selectionchange', this.handleSelectionChange.bind(this));
       
-             // Add keyboard shortcut (Ctrl/Cmd + Shift + A) for analysis
-       document.addEventListener('keydown', (event) => {
-         if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key === 'A') {
-           event.preventDefault();
-           const selection = window.getSelection();
-           const selectedText = selection.toString().trim();
-           if (selectedText.length >= 20) {
-             // Hide any existing tooltip
-             this.hideSelectionTooltip();
-             this.performSelectionAnalysis(selectedText);
-           }
-         }
-       });
+      // Add keyboard shortcut (Ctrl/Cmd + Shift + A) for analysis
+      document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key === 'A') {
+          event.preventDefault();
+          const selection = window.getSelection();
+          const selectedText = selection.toString().trim();
+          if (selectedText.length >= 20) {
+            // Hide any existing tooltip
+            this.hideSelectionTooltip();
+            this.performSelectionAnalysis(selectedText);
+          }
+        }
+      });
       
       // Hide tooltip when clicking elsewhere (but not during analysis or when modal is open)
       document.addEventListener('mousedown', (event) => {
@@ -639,6 +656,8 @@ function initializeContentAnalyzer() {
                   <div class="progress-fill"></div>
                 </div>
                 <div class="progress-text">Analyzing selected text...</div>
+                <div class="stream-reasoning hidden"></div>
+                <button class="btn-secondary cancel-analysis-btn">Cancel</button>
               </div>
               <div class="text-preview">
                 <strong>Analyzing:</strong> "${selectedText.substring(0, 100)}${selectedText.length > 100 ? '...' : ''}"
@@ -662,6 +681,11 @@ function initializeContentAnalyzer() {
         this.hideAnalysisModal();
       });
 
+      const cancelBtn = this.analysisModal.querySelector('.cancel-analysis-btn');
+      cancelBtn.addEventListener('click', () => {
+        this.cancelCurrentAnalysis();
+      });
+
       // Add to page with animation
       document.body.appendChild(this.analysisModal);
       requestAnimationFrame(() => {
@@ -671,6 +695,7 @@ function initializeContentAnalyzer() {
 
     showAnalysisResults(analysisData, selectedText) {
       if (!this.analysisModal) return;
+      this.currentAnalysisText = selectedText;
 
       const progressState = this.analysisModal.querySelector('.progress-state');
       const resultsState = this.analysisModal.querySelector('.results-state');
@@ -694,6 +719,7 @@ function initializeContentAnalyzer() {
           </div>
           
           <div class="result-details">
+            ${this.renderBlockedNotice(analysisData)}
             <div class="reasoning">
               ${this.formatReasoning(analysisData.reasoning)}
             </div>
@@ -705,8 +731,16 @@ function initializeContentAnalyzer() {
               </div>
               <div class="analysis-method">
                 <small>🔬 Method: ${analysisData.method || 'ensemble'}</small>
+                ${analysisData.chunks && analysisData.chunks.length > 1 ? `<small>🧱 ${analysisData.chunks.length} chunks: ${analysisData.chunks.map(chunk => `${chunk.likelihood}%`).join(', ')}</small>` : ''}
+                ${analysisData.parseMethod ? `<small>🧩 LLM reply parsed: ${analysisData.parseMethod}</small>` : ''}
+                ${this.renderMissingModelNote(analysisData.attempts)}
+                ${this.renderInjectionNote(analysisData.promptInjection)}
+                ${analysisData.knn ? `<small>🧭 Nearest examples: ${analysisData.knn.likelihood}% AI from ${analysisData.knn.k} of ${analysisData.knn.corpusSize} (${analysisData.knn.neighbors.map(neighbor => `${neighbor.label}% @ ${neighbor.similarity}`).join(', ')})</small>` : ''}
+                ${analysisData.selfConsistency ? `<small>🎲 ${analysisData.selfConsistency.sampleCount} samples: ${analysisData.selfConsistency.likelihoods.join('%, ')}% (spread ${analysisData.selfConsistency.spread}, σ ${analysisData.selfConsistency.standardDeviation}; model reported ${analysisData.selfConsistency.reportedConfidence}% confidence)</small>` : ''}
+                ${analysisData.calibrationMethod ? `<small>📐 Raw score ${analysisData.rawLikelihood}% → calibrated ${analysisData.calibratedLikelihood}% (${analysisData.calibrationMethod})</small>` : ''}
               </div>
             </div>
+            ${this.renderModelVotes(analysisData.voting)}
             
             <div class="text-info">
               <div class="text-preview">
@@ -799,7 +833,7 @@ function initializeContentAnalyzer() {
         const record = await this.feedbackManager.createFeedbackRecord(analysisData, {
           modelName: analysisData.modelName,
           ollamaVersion: analysisData.ollamaVersion,
-          promptVersion: '1.0'
+          promptVersion: analysisData.promptVersion || '1.0'
         });
         
         this.currentFeedbackRecordId = record.id;
@@ -809,7 +843,11 @@ function initializeContentAnalyzer() {
       }
     }
 
-    showAnalysisError(errorMessage) {
+    /**
+     * Show an analysis error in the modal. With missingModel the user can
+     * download the model and the analysis of selectedText reruns afterwards.
+     */
+    showAnalysisError(errorMessage, missingModel = null, selectedText = null) {
       if (!this.analysisModal) return;
 
       const progressState = this.analysisModal.querySelector('.progress-state');
@@ -817,16 +855,120 @@ function initializeContentAnalyzer() {
         <div class="error-container">
           <span class="error-icon">⚠️</span>
           <span class="error-text">${errorMessage}</span>
+          ${missingModel ? `
+            <button class="btn-primary pull-model-btn">📥 Download ${this.escapeHtml(missingModel)}</button>
+            <div class="pull-progress hidden">
+              <div class="pull-progress-bar"><div class="pull-progress-fill"></div></div>
+              <span class="pull-progress-text"></span>
+            </div>
+          ` : ''}
           <button class="btn-secondary retry-btn">Try Again</button>
         </div>
       `;
 
+      const retryButton = progressState.querySelector('.retry-btn');
+      if (selectedText) {
+        retryButton.addEventListener('click', () => this.retrySelectionAnalysis(selectedText));
+      }
+
+      const pullButton = progressState.querySelector('.pull-model-btn');
+      if (pullButton && selectedText) {
+        pullButton.addEventListener('click', () => this.pullMissingModel(missingModel, selectedText, progressState));
+      }
+
       // Enable outside click to close on error
       this.enableOutsideClickClose();
     }
 
+    /**
+     * Download missingModel with live progress, then rerun the analysis
+     */
+    async pullMissingModel(model, selectedText, progressState) {
+      const pullButton = progressState.querySelector('.pull-model-btn');
+      const retryButton = progressState.querySelector('.retry-btn');
+      const progress = progressState.querySelector('.pull-progress');
+      const fill = progressState.querySelector('.pull-progress-fill');
+      const text = progressState.querySelector('.pull-progress-text');
+
+      pullButton.disabled = true;
+      retryButton.disabled = true;
+      progress.classList.remove('hidden');
+      text.textContent = `Starting download of ${model}...`;
+
+      try {
+        await this.requestModelPull(model, (update) => {
+          if (update.percent !== null) {
+            fill.style.width = `${update.percent}%`;
+            text.textContent = `${update.status} · ${update.percent}% of ${this.formatDownloadSize(update.total)}`;
+          } else {
+            text.textContent = update.status;
+          }
+        });
+        text.textContent = `${model} downloaded. Analyzing again...`;
+        this.retrySelectionAnalysis(selectedText);
+      } catch (error) {
+        text.textContent = `Download failed: ${error.message}`;
+        pullButton.disabled = false;
+        retryButton.disabled = false;
+      }
+    }
+
+    /**
+     * Pull an Ollama model through the background, reporting progress. The
+     * download stops if the page goes away.
+     */
+    requestModelPull(model, onProgress) {
+      return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'model-pull' });
+        let settled = false;
+
+        port.onMessage.addListener((message) => {
+          if (message.type === 'progress') {
+            onProgress(message);
+            return;
+          }
+
+          settled = true;
+          port.disconnect();
+          if (message.type === 'done') {
+            resolve(message.data);
+          } else {
+            reject(new Error(message.error || 'Model download failed'));
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          if (!settled) {
+            reject(new Error(chrome.runtime.lastError?.message || 'Model download failed - connection to background closed'));
+          }
+        });
+
+        port.postMessage({ action: 'pullModel', model });
+      });
+    }
+
+    formatDownloadSize(bytes) {
+      if (!bytes) return 'unknown size';
+      const gigabytes = bytes / (1024 * 1024 * 1024);
+      return gigabytes >= 1 ? `${gigabytes.toFixed(1)} GB` : `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+
+    /**
+     * Replace the failed analysis modal with a fresh analysis of the same text
+     */
+    retrySelectionAnalysis(selectedText) {
+      if (this.analysisModal) {
+        this.analysisModal.remove();
+        this.analysisModal = null;
+      }
+      this.performSelectionAnalysis(selectedText);
+    }
+
     hideAnalysisModal() {
       if (!this.analysisModal) return;
+
+      // Closing the modal abandons any analysis still running
+      this.cancelCurrentAnalysis();
       
       this.analysisModal.classList.add('hiding');
       setTimeout(() => {
@@ -1175,46 +1317,142 @@ function initializeContentAnalyzer() {
         // Show analysis modal (tooltip should already be hidden by caller)
         this.showAnalysisModal(selectedText);
         
-        // Use the same analysis system as the toolbar
-        console.log('Sending analysis request to background script...');
-        const response = await chrome.runtime.sendMessage({
-          action: 'analyzeText',
-          text: selectedText,
-          options: {
-            metadata: {
-              url: window.location.href,
-              title: document.title,
-              wordCount: selectedText.split(/\s+/).length,
-              source: 'text-selection',
-              language: document.documentElement.lang || 'unknown',
-              domain: window.location.hostname,
-              readingTime: Math.ceil(selectedText.split(/\s+/).length / 200),
-              contentContext: {
-                selectionLength: selectedText.length,
-                isPartialContent: true
-              }
+        // Stream the analysis so the modal can show progress while the LLM replies
+        console.log('Sending streaming analysis request to background script...');
+        const startTime = Date.now();
+        const requestId = `analysis_${startTime}_${Math.random().toString(36).substr(2, 9)}`;
+        this.currentAnalysisRequestId = requestId;
+        let lastProgress = {};
+        const progressTimer = setInterval(() => {
+          this.updateAnalysisProgress({ ...lastProgress, elapsed: Date.now() - startTime });
+        }, 1000);
+
+        const analysisOptions = {
+          metadata: {
+            url: window.location.href,
+            title: document.title,
+            wordCount: selectedText.split(/\s+/).length,
+            source: 'text-selection',
+            language: document.documentElement.lang || 'unknown',
+            domain: window.location.hostname,
+            readingTime: Math.ceil(selectedText.split(/\s+/).length / 200),
+            contentContext: {
+              selectionLength: selectedText.length,
+              isPartialContent: true
             }
           }
-        });
-        console.log('Received response from background:', response);
-        
-        if (!response || !response.success) {
-          throw new Error(response?.error || 'Analysis failed - no response from background');
+        };
+
+        let analysis;
+        try {
+          analysis = await this.requestStreamingAnalysis(requestId, selectedText, analysisOptions, (progress) => {
+            lastProgress = progress;
+            this.updateAnalysisProgress({ ...progress, elapsed: Date.now() - startTime });
+          });
+        } finally {
+          clearInterval(progressTimer);
+          if (this.currentAnalysisRequestId === requestId) {
+            this.currentAnalysisRequestId = null;
+          }
         }
+        console.log('Received streamed analysis from background:', analysis);
         
         // Reset analyzing state and show results in modal
         this.isAnalyzing = false;
-        this.showAnalysisResults(response.data, selectedText);
+        this.showAnalysisResults(analysis, selectedText);
         
       } catch (error) {
         console.error('Selection analysis failed:', error);
         this.isAnalyzing = false;
-        this.showAnalysisError(error.message);
+        this.showAnalysisError(error.message, error.missingModel, selectedText);
       }
     }
 
 
 
+    /**
+     * Ask the background to abort the running selection or page analysis
+     */
+    cancelCurrentAnalysis() {
+      const requestId = this.currentAnalysisRequestId;
+      if (!requestId) return;
+
+      this.currentAnalysisRequestId = null;
+      chrome.runtime.sendMessage({ action: 'cancelAnalysis', requestId }).catch(error => {
+        console.warn('Cancel request failed:', error.message);
+      });
+    }
+
+    /**
+     * Analyze text over a port so partial LLM output arrives as progress messages
+     */
+    requestStreamingAnalysis(requestId, text, options, onProgress) {
+      return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'analysis-stream' });
+        let settled = false;
+
+        port.onMessage.addListener((message) => {
+          if (message.type === 'progress') {
+            onProgress(message);
+            return;
+          }
+
+          settled = true;
+          port.disconnect();
+          if (message.type === 'result') {
+            resolve(message.data);
+          } else {
+            const error = new Error(message.error || 'Analysis failed');
+            error.missingModel = message.missingModel;
+            reject(error);
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          if (!settled) {
+            reject(new Error(chrome.runtime.lastError?.message || 'Analysis failed - connection to background closed'));
+          }
+        });
+
+        port.postMessage({ action: 'analyzeText', requestId, text, options });
+      });
+    }
+
+    /**
+     * Show streaming progress in whichever loading view is open
+     */
+    updateAnalysisProgress(progress) {
+      const seconds = ((progress.elapsed || 0) / 1000).toFixed(1);
+      let status;
+      if (progress.stage === 'llm') {
+        const chunk = progress.chunkCount > 1 ? ` (chunk ${progress.chunkIndex + 1}/${progress.chunkCount})` : '';
+        const sample = progress.sampleCount > 1 ? ` (sample ${progress.sampleIndex + 1}/${progress.sampleCount})` : '';
+        status = `Receiving response${chunk}${sample}: ${progress.tokens} tokens · ${seconds}s`;
+      } else if (progress.stage === 'provider') {
+        status = `Waiting for ${progress.provider}${progress.model ? ` (${progress.model})` : ''} · ${seconds}s`;
+      } else {
+        status = `Analyzing selected text... ${seconds}s`;
+      }
+
+      if (this.analysisModal) {
+        const progressText = this.analysisModal.querySelector('.progress-text');
+        const reasoning = this.analysisModal.querySelector('.stream-reasoning');
+        if (progressText) progressText.textContent = status;
+        if (reasoning && progress.reasoning) {
+          reasoning.textContent = progress.reasoning;
+          reasoning.classList.remove('hidden');
+        }
+      }
+
+      const overlay = document.getElementById('ai-detector-quick-overlay');
+      if (overlay && overlay.classList.contains('ai-detector-loading')) {
+        const loadingText = overlay.querySelector('.ai-detector-loading-text');
+        const reasoning = overlay.querySelector('.ai-detector-stream-reasoning');
+        if (loadingText) loadingText.textContent = status;
+        if (reasoning && progress.reasoning) reasoning.textContent = progress.reasoning;
+      }
+    }
+
     formatReasoning(reasoning) {
       if (!reasoning) return '<p class="no-reasoning">No reasoning provided.</p>';
       
@@ -1245,6 +1483,76 @@ function initializeContentAnalyzer() {
       return formatted;
     }
 
+    /**
+     * Note that a fallback answered because the selected Ollama model is not installed
+     */
+    renderMissingModelNote(attempts) {
+      const missing = (attempts || []).find(attempt => attempt.missingModel);
+      if (!missing) return '';
+      return `<small>📥 ${this.escapeHtml(missing.missingModel)} is not installed, so a fallback answered. Download it under Local Models in settings.</small>`;
+    }
+
+    /**
+     * Warn that the text contains instructions aimed at the detector
+     */
+    renderInjectionNote(promptInjection) {
+      if (!promptInjection || !promptInjection.detected) return '';
+      const kinds = promptInjection.matches.map(match => this.escapeHtml(match.description)).join('; ');
+      return `<small>🛡️ Possible prompt injection (${kinds}). It raised the score, and the LLM verdict may have been steered.</small>`;
+    }
+
+    /**
+     * Explain that the LLM withheld its verdict, so the score is statistical only
+     */
+    renderBlockedNotice(analysisData) {
+      if (analysisData.resultType !== 'blocked') return '';
+      const { blocked } = analysisData;
+      return `
+        <div class="blocked-notice">
+          <strong>🚫 No LLM verdict for this text</strong>
+          <p>${this.escapeHtml(blocked.explanation)}</p>
+          <small>Reason: ${this.escapeHtml(blocked.reason)}. The score above comes from statistical analysis alone, so give it less weight. A local model in settings can judge texts that Gemini refuses.</small>
+        </div>
+      `;
+    }
+
+    renderModelVotes(voting) {
+      if (!voting || !voting.votes || voting.votes.length < 2) return '';
+
+      const votes = voting.votes.map(vote => {
+        const score = vote.success
+          ? `<span class="model-vote-score">${vote.likelihood}% AI • ${vote.confidence}% confidence</span>`
+          : '<span class="model-vote-score failed">Failed</span>';
+        return `
+          <div class="model-vote">
+            <div class="model-vote-header">
+              <span class="model-vote-name">${this.escapeHtml(vote.model)}</span>
+              ${score}
+            </div>
+            <div class="model-vote-reasoning">${this.escapeHtml(vote.success ? vote.reasoning : vote.error)}</div>
+          </div>
+        `;
+      }).join('');
+
+      const summary = voting.modelCount > 1
+        ? `${voting.modelCount} models • ${voting.agreement}% agreement • ${voting.spread} point spread • consensus ${voting.likelihood}%`
+        : 'Too few models answered; the vote was not used';
+
+      return `
+        <div class="model-voting">
+          <h4>🗳️ Model Vote</h4>
+          <small>${summary}</small>
+          ${votes}
+        </div>
+      `;
+    }
+
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML;
+    }
+
     renderStatisticalBreakdown(analysisData) {
       const breakdown = analysisData.statisticalBreakdown || {};
       return `
@@ -1252,6 +1560,10 @@ function initializeContentAnalyzer() {
           <span class="stat-label">Perplexity</span>
           <span class="stat-value">${breakdown.perplexityScore || '--'}</span>
         </div>
+        <div class="stat-item">
+          <span class="stat-label">Ref. Perplexity</span>
+          <span class="stat-value">${breakdown.referencePerplexityScore || '--'}</span>
+        </div>
         <div class="stat-item">
           <span class="stat-label">Burstiness</span>
           <span class="stat-value">${breakdown.burstinessScore || '--'}</span>
@@ -1491,7 +1803,8 @@ function initializeContentAnalyzer() {
         }
         
         console.log('Submitting feedback for record:', this.currentFeedbackRecordId);
-        await this.feedbackManager.submitFeedback(this.currentFeedbackRecordId, feedbackData);
+        const record = await this.feedbackManager.submitFeedback(this.currentFeedbackRecordId, feedbackData);
+        this.addToEmbeddingCorpus(record);
         
         console.log('Detailed feedback submitted successfully:', feedbackData);
       } catch (error) {
@@ -1500,6 +1813,17 @@ function initializeContentAnalyzer() {
       }
     }
 
+    /**
+     * Feedback-labeled text grows the kNN corpus when the embedding detector is on
+     */
+    addToEmbeddingCorpus(record) {
+      const label = FeedbackManager.getAILabel(record);
+      if (label === null || !this.currentAnalysisText) return;
+
+      chrome.runtime.sendMessage({ action: 'addCorpusExample', text: this.currentAnalysisText, label })
+        .catch(error => console.warn('Failed to add feedback to embedding corpus:', error));
+    }
+
     showFeedbackStatus(widget, type) {
       console.log('🐛 DEBUG: showFeedbackStatus called with type:', type);
       console.trace('🐛 DEBUG: Call stack for showFeedbackStatus');
@@ -1684,6 +2008,7 @@ function initializeContentAnalyzer() {
             <div class="ai-detector-loading-text">
               Running AI detection analysis...
             </div>
+            <div class="ai-detector-stream-reasoning"></div>
             <div class="ai-detector-text-preview">
               "${selectedText.substring(0, 80)}${selectedText.length > 80 ? '...' : ''}"
             </div>
@@ -1972,6 +2297,19 @@ function initializeContentAnalyzer() {
           margin-bottom: 12px !important;
         }
 
+        .ai-detector-stream-reasoning:empty {
+          display: none !important;
+        }
+
+        .ai-detector-stream-reasoning {
+          font-size: 12px !important;
+          color: #374151 !important;
+          font-style: italic !important;
+          margin-bottom: 12px !important;
+          max-height: 80px !important;
+          overflow-y: auto !important;
+        }
+
         @keyframes ai-detector-progress {
           0% { width: 0%; }
           50% { width: 70%; }
@@ -2160,10 +2498,90 @@ function initializeContentAnalyzer() {
           border-color: #3b82f6 !important;
         }
 
-        .badge-btn-close:hover {
+        .badge-btn-cancel {
+          margin-left: 8px !important;
+        }
+
+        .badge-btn-close:hover,
+        .badge-btn-cancel:hover {
           background: #fee2e2 !important;
           border-color: #ef4444 !important;
         }
+
+        .badge-btn-highlight.active {
+          background: #fef3c7 !important;
+          border-color: #f59e0b !important;
+        }
+
+        /* Paragraph Highlight Styles */
+        .ai-detector-highlight {
+          border-radius: 4px !important;
+          transition: background-color 0.2s ease !important;
+        }
+
+        .ai-detector-highlight-high {
+          background-color: rgba(239, 68, 68, 0.18) !important;
+        }
+
+        .ai-detector-highlight-medium {
+          background-color: rgba(245, 158, 11, 0.18) !important;
+        }
+
+        .ai-detector-highlight-low {
+          background-color: rgba(16, 185, 129, 0.12) !important;
+        }
+
+        .ai-detector-highlight-tooltip {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+          font-size: 12px !important;
+          line-height: 1.4 !important;
+          background: white !important;
+          border: 1px solid #e1e5e9 !important;
+          border-radius: 8px !important;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15) !important;
+          padding: 8px 10px !important;
+          max-width: 280px !important;
+          transform: translateY(-100%) !important;
+          pointer-events: none !important;
+        }
+
+        .highlight-tooltip-score {
+          font-weight: 700 !important;
+          color: #1f2937 !important;
+          margin-bottom: 2px !important;
+        }
+
+        .highlight-tooltip-score.ai-likelihood-high {
+          color: #dc2626 !important;
+        }
+
+        .highlight-tooltip-score.ai-likelihood-medium {
+          color: #d97706 !important;
+        }
+
+        .highlight-tooltip-score.ai-likelihood-low {
+          color: #059669 !important;
+        }
+
+        .highlight-tooltip-meta {
+          color: #6b7280 !important;
+          font-size: 11px !important;
+        }
+
+        .highlight-tooltip-indicators {
+          display: flex !important;
+          flex-wrap: wrap !important;
+          gap: 4px !important;
+          margin-top: 6px !important;
+        }
+
+        .highlight-indicator {
+          background: #f3f4f6 !important;
+          border-radius: 4px !important;
+          padding: 2px 6px !important;
+          font-size: 11px !important;
+          color: #374151 !important;
+        }
       `;
       
       document.head.appendChild(style);
@@ -3536,6 +3954,9 @@ function initializeContentAnalyzer() {
             ${TextFormatter.formatReasoningCompact(analysis.reasoning)}
           </div>
           <div class="badge-actions">
+            ${analysis.segmentAnalysis?.paragraphs?.length ? `
+              <button class="badge-btn badge-btn-highlight ${this.highlightsActive ? 'active' : ''}" title="Toggle paragraph highlights">🖍️</button>
+            ` : ''}
             <button class="badge-btn badge-btn-analyze" title="Re-analyze">🔄</button>
             <button class="badge-btn badge-btn-close" title="Close">✕</button>
           </div>
@@ -3550,6 +3971,11 @@ function initializeContentAnalyzer() {
       // Add to page
       document.body.appendChild(badge);
 
+      // Keep highlights on across re-analysis if the reader turned them on
+      if (this.highlightsActive) {
+        this.highlightsActive = this.applyParagraphHighlights(analysis) > 0;
+      }
+
       // Auto-collapse after 5 seconds
       setTimeout(() => {
         const expandIcon = badge.querySelector('.expand-icon');
@@ -3583,6 +4009,15 @@ function initializeContentAnalyzer() {
       expandArea.addEventListener('click', toggleDetails);
       content.addEventListener('click', toggleDetails);
 
+      // Highlight toggle button
+      const highlightBtn = badge.querySelector('.badge-btn-highlight');
+      if (highlightBtn) {
+        highlightBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.toggleParagraphHighlights(analysis, highlightBtn);
+        });
+      }
+
       // Re-analyze button
       const analyzeBtn = badge.querySelector('.badge-btn-analyze');
       analyzeBtn.addEventListener('click', (e) => {
@@ -3594,6 +4029,7 @@ function initializeContentAnalyzer() {
       const closeBtn = badge.querySelector('.badge-btn-close');
       closeBtn.addEventListener('click', (e) => {
         e.stopPropagation();
+        this.highlightsActive = false;
         this.removeInPageBadge();
       });
     }
@@ -3603,6 +4039,116 @@ function initializeContentAnalyzer() {
       if (existing) {
         existing.remove();
       }
+      this.clearParagraphHighlights();
+    }
+
+    toggleParagraphHighlights(analysis, button) {
+      if (this.highlightsActive) {
+        this.clearParagraphHighlights();
+        this.highlightsActive = false;
+      } else {
+        this.highlightsActive = this.applyParagraphHighlights(analysis) > 0;
+        if (!this.highlightsActive) {
+          console.warn('No paragraphs on this page matched the analyzed text');
+        }
+      }
+
+      button.classList.toggle('active', this.highlightsActive);
+    }
+
+    /**
+     * Color each paragraph of the extracted article by its own AI-likelihood.
+     * Paragraph scores come from the analysis result and are matched back to
+     * page elements by their text. Returns the number of highlighted elements.
+     */
+    applyParagraphHighlights(analysis) {
+      this.clearParagraphHighlights();
+
+      const paragraphs = analysis.segmentAnalysis?.paragraphs || [];
+      if (!this.articleElement || !this.articleElement.isConnected || paragraphs.length === 0) {
+        return 0;
+      }
+
+      // Extraction adds spaces around inline elements, so compare without whitespace
+      const normalize = text => text.replace(/\s+/g, '');
+      const candidates = paragraphs.map(segment => ({ segment, text: normalize(segment.text) }));
+      const segmentsByText = new Map(candidates.map(c => [c.text, c.segment]));
+
+      this.articleElement.querySelectorAll('p, li, blockquote').forEach(element => {
+        // Nested blocks are covered by their highlighted parent
+        if (element.closest('.ai-detector-highlight')) return;
+
+        const text = normalize(element.textContent);
+        if (text.length < 40) return;
+
+        const segment = segmentsByText.get(text) ||
+          candidates.find(c => c.text.includes(text))?.segment;
+        if (!segment) return;
+
+        const onEnter = () => this.showHighlightTooltip(element, segment);
+        const onLeave = () => this.hideHighlightTooltip();
+
+        element.classList.add('ai-detector-highlight', `ai-detector-highlight-${this.getLikelihoodClass(segment.likelihood)}`);
+        element.dataset.aiLikelihood = segment.likelihood;
+        element.addEventListener('mouseenter', onEnter);
+        element.addEventListener('mouseleave', onLeave);
+
+        this.highlightedParagraphs.push({ element, onEnter, onLeave });
+      });
+
+      return this.highlightedParagraphs.length;
+    }
+
+    clearParagraphHighlights() {
+      this.highlightedParagraphs.forEach(({ element, onEnter, onLeave }) => {
+        element.classList.remove(
+          'ai-detector-highlight',
+          'ai-detector-highlight-high',
+          'ai-detector-highlight-medium',
+          'ai-detector-highlight-low'
+        );
+        delete element.dataset.aiLikelihood;
+        element.removeEventListener('mouseenter', onEnter);
+        element.removeEventListener('mouseleave', onLeave);
+      });
+
+      this.highlightedParagraphs = [];
+      this.hideHighlightTooltip();
+    }
+
+    showHighlightTooltip(element, segment) {
+      this.hideHighlightTooltip();
+
+      const indicators = segment.indicators || [];
+      const tooltip = document.createElement('div');
+      tooltip.className = 'ai-detector-highlight-tooltip';
+      tooltip.innerHTML = `
+        <div class="highlight-tooltip-score ai-likelihood-${this.getLikelihoodClass(segment.likelihood)}">
+          ${Math.round(segment.likelihood)}% AI Likelihood
+        </div>
+        <div class="highlight-tooltip-meta">${segment.wordCount} words</div>
+        ${indicators.length > 0 ? `
+          <div class="highlight-tooltip-indicators">
+            ${indicators.map(indicator => `<span class="highlight-indicator">${this.escapeHtml(indicator)}</span>`).join('')}
+          </div>
+        ` : '<div class="highlight-tooltip-meta">No AI-typical phrases found</div>'}
+      `;
+
+      const rect = element.getBoundingClientRect();
+      tooltip.style.position = 'absolute';
+      tooltip.style.top = `${rect.top + window.scrollY - 8}px`;
+      tooltip.style.left = `${rect.left + window.scrollX}px`;
+      tooltip.style.zIndex = '10001';
+
+      document.body.appendChild(tooltip);
+      this.highlightTooltip = tooltip;
+    }
+
+    hideHighlightTooltip() {
+      if (this.highlightTooltip) {
+        this.highlightTooltip.remove();
+        this.highlightTooltip = null;
+      }
     }
 
     minimizeBadge(badge) {
@@ -3645,13 +4191,26 @@ function initializeContentAnalyzer() {
               <div class="badge-score">...</div>
               <div class="badge-label">Analyzing</div>
             </div>
+            <button class="badge-btn badge-btn-cancel" title="Cancel analysis">Cancel</button>
           </div>
         `;
         
         document.body.appendChild(loadingBadge);
 
-        // Trigger re-analysis
-        const result = await this.analyzeCurrentPage();
+        loadingBadge.querySelector('.badge-btn-cancel').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.cancelCurrentAnalysis();
+        });
+
+        // Trigger re-analysis, showing what the background is waiting for
+        const label = loadingBadge.querySelector('.badge-label');
+        const result = await this.analyzeCurrentPage((progress) => {
+          if (progress.stage === 'llm') {
+            label.textContent = `${progress.tokens} tokens`;
+          } else if (progress.stage === 'provider') {
+            label.textContent = `Waiting for ${progress.provider}`;
+          }
+        });
         
         // Remove loading badge and show results
         loadingBadge.remove();
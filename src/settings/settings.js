@@ -5,38 +5,9 @@
 
 class SettingsManager {
   constructor() {
-    this.defaultSettings = {
-      // AI Model Configuration
-      ollamaUrl: 'http://localhost:11434',
-      ollamaModel: '', // Legacy compatibility
-      googleApiKey: '',
-      googleModel: 'gemini-pro', // Legacy compatibility
-      
-      // Analysis Preferences
-      analysisMethod: 'ensemble',
-      selectedModel: '', // Unified model selection
-      systemInstructions: '', // Custom LLM instructions
-      confidenceThreshold: 70,
-      cacheEnabled: true,
-      cacheDuration: 24,
-      
-      // Feedback & Privacy
-      feedbackEnabled: true,
-      userExpertise: 'intermediate',
-      anonymizationLevel: 'medium',
-      dataRetention: 90,
-      
-      // Dashboard & Analytics
-      dashboardUrl: 'http://localhost:3000',
-      realtimeUpdates: true,
-      
-      // Advanced Settings
-      maxTextLength: 2000,
-      analysisTimeout: 30,
-      debugMode: false
-    };
-    
-    this.currentSettings = { ...this.defaultSettings };
+    // Filled from the background, which owns the defaults
+    this.defaultSettings = {};
+    this.currentSettings = {};
     this.init();
   }
 
@@ -51,6 +22,14 @@ class SettingsManager {
     }, 50);
     
     this.testConnections();
+    this.loadEnsembleWeights();
+    this.loadCalibration();
+    this.loadCorpusStats();
+    this.loadHealthStatus();
+    this.loadPromptTemplates();
+    this.loadSecretStatus();
+    this.loadGeminiUsage();
+    this.loadCacheStats();
     
     // Auto-load models to ensure dropdown is populated
     // This ensures saved model selections are properly restored and dropdown shows options
@@ -62,10 +41,11 @@ class SettingsManager {
   // Settings Management
   async loadSettings() {
     try {
-      const result = await chrome.storage.sync.get('aiDetectorSettings');
-      if (result.aiDetectorSettings) {
-        this.currentSettings = { ...this.defaultSettings, ...result.aiDetectorSettings };
-      }
+      // Read through the background, which moves API keys synced by older
+      // versions into its encrypted store and leaves them out of the reply
+      this.defaultSettings = await this.sendBackgroundMessage({ action: 'getDefaultSettings' });
+      const settings = await this.sendBackgroundMessage({ action: 'getSettings' });
+      this.currentSettings = { ...this.defaultSettings, ...settings };
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -95,9 +75,21 @@ class SettingsManager {
       this.testOllamaConnection();
     });
     
+    document.getElementById('check-ollama-health').addEventListener('click', () => {
+      this.loadHealthStatus(true);
+    });
+    
     document.getElementById('test-google').addEventListener('click', () => {
       this.testGoogleConnection();
     });
+
+    document.getElementById('refresh-gemini-usage').addEventListener('click', () => {
+      this.loadGeminiUsage();
+    });
+
+    document.getElementById('test-openai').addEventListener('click', () => {
+      this.testOpenAIConnection();
+    });
     
     document.getElementById('test-dashboard').addEventListener('click', () => {
       this.testDashboardConnection();
@@ -155,11 +147,95 @@ class SettingsManager {
     document.getElementById('google-api-key').addEventListener('input', (e) => {
       this.onGoogleApiKeyChange(e.target.value);
     });
+
+    // API keys are handed to the background's encrypted store, never saved with the settings
+    document.getElementById('google-api-key').addEventListener('change', (e) => {
+      this.storeApiKey('googleApiKey', e.target);
+    });
+
+    document.getElementById('openai-api-key').addEventListener('change', (e) => {
+      this.storeApiKey('openaiApiKey', e.target);
+    });
+
+    document.getElementById('forget-google-key').addEventListener('click', () => {
+      this.forgetApiKey('googleApiKey');
+    });
+
+    document.getElementById('forget-openai-key').addEventListener('click', () => {
+      this.forgetApiKey('openaiApiKey');
+    });
+
+    document.getElementById('set-passphrase').addEventListener('click', () => {
+      this.setSecretPassphrase();
+    });
+
+    document.getElementById('unlock-secrets').addEventListener('click', () => {
+      this.unlockSecrets();
+    });
+
+    document.getElementById('lock-secrets').addEventListener('click', () => {
+      this.lockSecrets();
+    });
     
     // Unified model refresh handler
     document.getElementById('refresh-models').addEventListener('click', () => {
       this.refreshAllModels();
     });
+
+    // Model download
+    document.getElementById('pull-model').addEventListener('click', () => {
+      this.pullModel(document.getElementById('pull-model-name').value.trim());
+    });
+
+    // Fallback chain
+    document.getElementById('add-fallback').addEventListener('click', () => {
+      this.addFallback(document.getElementById('fallback-model').value);
+    });
+
+    // Model voting
+    document.getElementById('add-voting-model').addEventListener('click', () => {
+      this.addVotingModel(document.getElementById('voting-model').value);
+    });
+
+    // Ensemble weight training
+    document.getElementById('train-weights').addEventListener('click', () => {
+      this.trainEnsembleWeights();
+    });
+
+    document.getElementById('activate-weights').addEventListener('click', () => {
+      this.activateEnsembleWeights();
+    });
+
+    // Probability calibration
+    document.getElementById('fit-calibration').addEventListener('click', () => {
+      this.fitCalibration();
+    });
+
+    document.getElementById('clear-calibration').addEventListener('click', () => {
+      this.clearCalibration();
+    });
+
+    // Embedding corpus
+    document.getElementById('import-corpus').addEventListener('click', () => {
+      this.importCorpus();
+    });
+
+    document.getElementById('rebuild-corpus').addEventListener('click', () => {
+      this.rebuildCorpus();
+    });
+
+    document.getElementById('clear-corpus').addEventListener('click', () => {
+      this.clearCorpus();
+    });
+
+    // Analysis cache
+    document.getElementById('refresh-cache-stats').addEventListener('click', () => {
+      this.loadCacheStats();
+    });
+
+    document.getElementById('purge-cache').addEventListener('click', () => {
+      this.purgeCache();
+    });
   }
 
   // Tab Management
@@ -273,11 +349,31 @@ class SettingsManager {
     
     try {
       // AI Model Configuration
+      // API key fields stay empty: stored keys are never sent back to the page
       const ollamaUrl = document.getElementById('ollama-url');
-      const googleApiKey = document.getElementById('google-api-key');
-      
       if (ollamaUrl) ollamaUrl.value = this.currentSettings.ollamaUrl;
-      if (googleApiKey) googleApiKey.value = this.currentSettings.googleApiKey;
+
+      const openaiBaseUrl = document.getElementById('openai-base-url');
+      if (openaiBaseUrl) openaiBaseUrl.value = this.currentSettings.openaiBaseUrl || '';
+
+      // Self-consistency samples per provider
+      const samples = { ...this.defaultSettings.selfConsistencySamples, ...this.currentSettings.selfConsistencySamples };
+      ['ollama', 'openai', 'google'].forEach(provider => {
+        const input = document.getElementById(`${provider}-samples`);
+        if (input) input.value = samples[provider];
+      });
+
+      const healthCheckInterval = document.getElementById('health-check-interval');
+      const ollamaPrewarm = document.getElementById('ollama-prewarm');
+      const ollamaKeepAlive = document.getElementById('ollama-keep-alive');
+      if (healthCheckInterval) healthCheckInterval.value = this.currentSettings.healthCheckInterval;
+      if (ollamaPrewarm) ollamaPrewarm.checked = this.currentSettings.ollamaPrewarm;
+      if (ollamaKeepAlive) ollamaKeepAlive.value = this.currentSettings.ollamaKeepAlive;
+
+      const googleRpm = document.getElementById('google-rpm');
+      const googleDailyBudget = document.getElementById('google-daily-budget');
+      if (googleRpm) googleRpm.value = this.currentSettings.googleRequestsPerMinute;
+      if (googleDailyBudget) googleDailyBudget.value = this.currentSettings.googleDailyTokenBudget;
       
       // Note: google-model dropdown was removed in favor of unified model selection
       
@@ -300,6 +396,19 @@ class SettingsManager {
       if (confidenceValue) confidenceValue.textContent = this.currentSettings.confidenceThreshold + '%';
       if (cacheEnabled) cacheEnabled.checked = this.currentSettings.cacheEnabled;
       if (cacheDuration) cacheDuration.value = this.currentSettings.cacheDuration;
+      this.renderFallbackChain();
+      this.renderVotingModels();
+
+      const promptExperiment = { ...this.defaultSettings.promptExperiment, ...this.currentSettings.promptExperiment };
+      const promptExperimentEnabled = document.getElementById('prompt-experiment-enabled');
+      const promptTraffic = document.getElementById('prompt-traffic');
+      if (promptExperimentEnabled) promptExperimentEnabled.checked = promptExperiment.enabled;
+      if (promptTraffic) promptTraffic.value = promptExperiment.traffic;
+
+      const embeddingModel = document.getElementById('embedding-model');
+      const embeddingNeighbors = document.getElementById('embedding-neighbors');
+      if (embeddingModel) embeddingModel.value = this.currentSettings.embeddingModel || '';
+      if (embeddingNeighbors) embeddingNeighbors.value = this.currentSettings.embeddingNeighbors || 5;
       
       // Feedback & Privacy
       const feedbackEnabled = document.getElementById('feedback-enabled');
@@ -321,10 +430,12 @@ class SettingsManager {
       
       // Advanced Settings
       const maxTextLength = document.getElementById('max-text-length');
+      const chunkTokenBudget = document.getElementById('chunk-token-budget');
       const analysisTimeout = document.getElementById('analysis-timeout');
       const debugMode = document.getElementById('debug-mode');
       
       if (maxTextLength) maxTextLength.value = this.currentSettings.maxTextLength;
+      if (chunkTokenBudget) chunkTokenBudget.value = this.currentSettings.chunkTokenBudget;
       if (analysisTimeout) analysisTimeout.value = this.currentSettings.analysisTimeout;
       if (debugMode) debugMode.checked = this.currentSettings.debugMode;
 
@@ -360,13 +471,29 @@ class SettingsManager {
       // AI Model Configuration
       ollamaUrl: getValue('ollama-url', 'http://localhost:11434'),
       ollamaModel: getValue('ollama-model'), // Legacy - kept for backward compatibility
-      googleApiKey: getValue('google-api-key'),
       googleModel: getValue('google-model', 'gemini-pro'), // Legacy - kept for backward compatibility
+      googleRequestsPerMinute: parseInt(getValue('google-rpm', '15')) || 0,
+      googleDailyTokenBudget: parseInt(getValue('google-daily-budget', '0')) || 0,
+      openaiBaseUrl: getValue('openai-base-url').trim(),
+      healthCheckInterval: parseFloat(getValue('health-check-interval', '1')),
+      ollamaPrewarm: getChecked('ollama-prewarm', true),
+      ollamaKeepAlive: getValue('ollama-keep-alive', '30m').trim() || '30m',
       
       // Analysis Preferences (including new unified fields)
       analysisMethod: getValue('analysis-method', 'ensemble'),
       selectedModel: getValue('selected-model'), // New unified model selection
+      fallbackChain: this.currentSettings.fallbackChain || [], // Edited through the fallback list
+      votingModels: this.currentSettings.votingModels || [], // Edited through the voting list
+      embeddingModel: getValue('embedding-model').trim(),
+      embeddingNeighbors: parseInt(getValue('embedding-neighbors', '5')),
       systemInstructions: getValue('system-instructions'), // New custom instructions
+      // Template lists fill in after the background replies
+      promptTemplate: getValue('prompt-template') || this.currentSettings.promptTemplate,
+      promptExperiment: {
+        enabled: getChecked('prompt-experiment-enabled', false),
+        challenger: getValue('prompt-challenger') || this.currentSettings.promptExperiment?.challenger,
+        traffic: parseInt(getValue('prompt-traffic', '50'))
+      },
       confidenceThreshold: parseInt(getValue('confidence-threshold', '70')),
       cacheEnabled: getChecked('cache-enabled', true),
       cacheDuration: parseInt(getValue('cache-duration', '24')),
@@ -383,6 +510,12 @@ class SettingsManager {
       
       // Advanced Settings
       maxTextLength: parseInt(getValue('max-text-length', '5000')),
+      chunkTokenBudget: parseInt(getValue('chunk-token-budget', '500')),
+      selfConsistencySamples: {
+        ollama: parseInt(getValue('ollama-samples', '1')),
+        openai: parseInt(getValue('openai-samples', '1')),
+        google: parseInt(getValue('google-samples', '1'))
+      },
       analysisTimeout: parseInt(getValue('analysis-timeout', '30')),
       debugMode: getChecked('debug-mode', false)
     };
@@ -391,6 +524,110 @@ class SettingsManager {
   }
 
   // API Key Management
+  async loadSecretStatus() {
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'getSecretStatus' });
+      this.showSecretStatus(status);
+    } catch (error) {
+      console.error('Failed to load API key status:', error);
+    }
+  }
+
+  showSecretStatus(status) {
+    this.secretStatus = status;
+
+    const keyFields = {
+      googleApiKey: { input: 'google-api-key', forget: 'forget-google-key', placeholder: 'Enter your Google AI API key' },
+      openaiApiKey: { input: 'openai-api-key', forget: 'forget-openai-key', placeholder: 'Bearer token, if the server requires one' }
+    };
+    Object.entries(keyFields).forEach(([name, field]) => {
+      const stored = status.stored.includes(name);
+      document.getElementById(field.input).placeholder = stored ? '•••••••• stored (type a new key to replace it)' : field.placeholder;
+      document.getElementById(field.forget).disabled = !stored;
+    });
+
+    if (status.stored.length === 0) {
+      this.showConnectionStatus('secret-status', 'No API keys stored', 'success');
+    } else if (status.locked) {
+      this.showConnectionStatus('secret-status', `${status.stored.length} API key(s) stored and locked. Enter your passphrase to unlock them.`, 'warning');
+    } else {
+      const protection = status.passphraseProtected ? 'protected by your passphrase' : 'encrypted with a key kept on this device';
+      this.showConnectionStatus('secret-status', `${status.stored.length} API key(s) stored, ${protection}`, 'success');
+    }
+  }
+
+  async storeApiKey(name, input) {
+    const value = input.value.trim();
+    if (!value) {
+      return;
+    }
+
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'storeSecret', name, value });
+      input.value = '';
+      this.showSecretStatus(status);
+      this.refreshAllModels();
+    } catch (error) {
+      this.showConnectionStatus('secret-status', `Failed to store API key: ${error.message}`, 'error');
+    }
+  }
+
+  async forgetApiKey(name) {
+    if (!confirm('Remove this API key from the extension? You will need to enter it again to use the provider.')) {
+      return;
+    }
+
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'forgetSecret', name });
+      this.showSecretStatus(status);
+      this.refreshAllModels();
+    } catch (error) {
+      this.showConnectionStatus('secret-status', `Failed to forget API key: ${error.message}`, 'error');
+    }
+  }
+
+  async setSecretPassphrase() {
+    const input = document.getElementById('secret-passphrase');
+    const passphrase = input.value;
+    if (!passphrase && !confirm('Remove the passphrase? Stored API keys will be encrypted with a key kept on this device instead.')) {
+      return;
+    }
+
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'setSecretPassphrase', passphrase });
+      input.value = '';
+      this.showSecretStatus(status);
+    } catch (error) {
+      this.showConnectionStatus('secret-status', `Failed to set passphrase: ${error.message}`, 'error');
+    }
+  }
+
+  async unlockSecrets() {
+    const input = document.getElementById('secret-passphrase');
+    if (!input.value) {
+      this.showConnectionStatus('secret-status', 'Please enter your passphrase', 'warning');
+      return;
+    }
+
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'unlockSecrets', passphrase: input.value });
+      input.value = '';
+      this.showSecretStatus(status);
+      this.refreshAllModels();
+    } catch (error) {
+      this.showConnectionStatus('secret-status', `Failed to unlock API keys: ${error.message}`, 'error');
+    }
+  }
+
+  async lockSecrets() {
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'lockSecrets' });
+      this.showSecretStatus(status);
+    } catch (error) {
+      this.showConnectionStatus('secret-status', `Failed to lock API keys: ${error.message}`, 'error');
+    }
+  }
+
   toggleApiKeyVisibility() {
     const input = document.getElementById('google-api-key');
     const button = document.getElementById('toggle-api-key');
@@ -430,23 +667,67 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Show the background monitor's last Ollama check, or a new one when refresh is set
+   */
+  async loadHealthStatus(refresh = false) {
+    const button = document.getElementById('check-ollama-health');
+    button.classList.add('loading');
+
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'getHealthStatus', refresh });
+      this.showHealthStatus(status);
+    } catch (error) {
+      this.showConnectionStatus('ollama-health', `Health check failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+    }
+  }
+
+  showHealthStatus(status) {
+    const checkedAt = new Date(status.checkedAt).toLocaleTimeString();
+    if (!status.healthy) {
+      this.showConnectionStatus('ollama-health', `Ollama unreachable: ${status.error} (checked ${checkedAt})`, 'error');
+      return;
+    }
+
+    let residency = 'no Ollama model selected';
+    if (status.model) {
+      residency = status.modelLoaded ? `${status.model} loaded in memory` : `${status.model} not loaded`;
+    }
+    if (status.prewarm?.error) {
+      residency += ` (pre-warm failed: ${status.prewarm.error})`;
+    }
+
+    this.showConnectionStatus('ollama-health',
+      `Ollama ${status.version} responding in ${status.latency}ms, ${residency} (checked ${checkedAt})`,
+      status.model && !status.modelLoaded ? 'warning' : 'success');
+  }
+
   async testGoogleConnection() {
     const button = document.getElementById('test-google');
     const status = document.getElementById('google-status');
-    const apiKey = document.getElementById('google-api-key').value;
+    const apiKey = document.getElementById('google-api-key').value.trim();
+    const stored = this.secretStatus?.stored.includes('googleApiKey');
     
-    if (!apiKey) {
+    if (!apiKey && !stored) {
       this.showConnectionStatus('google-status', 'Please enter your Google AI API key', 'warning');
       return;
     }
+
+    if (!apiKey && this.secretStatus.locked) {
+      this.showConnectionStatus('google-status', 'The stored API key is locked. Unlock it with your passphrase first.', 'warning');
+      return;
+    }
     
     button.classList.add('loading');
     button.textContent = 'Testing...';
     
     try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`);
+      // Without a typed key the background checks the stored one
+      const valid = await this.validateGoogleApiKey(apiKey);
       
-      if (response.ok) {
+      if (valid) {
         this.showConnectionStatus('google-status', 'Google AI API key is valid', 'success');
       } else {
         this.showConnectionStatus('google-status', 'Invalid Google AI API key', 'error');
@@ -459,6 +740,92 @@ class SettingsManager {
     }
   }
 
+  async loadGeminiUsage() {
+    try {
+      const status = await this.sendBackgroundMessage({ action: 'getGeminiUsage' });
+      this.showGeminiUsage(status);
+    } catch (error) {
+      this.showConnectionStatus('gemini-usage', `Failed to load Gemini usage: ${error.message}`, 'error');
+    }
+  }
+
+  showGeminiUsage(status) {
+    const formatCost = cost => cost === null ? 'cost unknown' : `~$${cost.toFixed(4)}`;
+
+    let summary = `${status.tokensUsed.toLocaleString()} tokens, ${formatCost(status.estimatedCost)}`;
+    let type = 'success';
+    if (status.dailyTokenBudget) {
+      summary += `, ${status.tokensRemaining.toLocaleString()} of ${status.dailyTokenBudget.toLocaleString()} left`;
+      if (status.tokensRemaining === 0) {
+        type = 'error';
+      } else if (status.tokensRemaining < status.dailyTokenBudget * 0.1) {
+        type = 'warning';
+      }
+    } else {
+      summary += ', no daily budget';
+    }
+    if (status.rateLimited > 0) {
+      summary += `, ${status.rateLimited} rate-limited request(s)`;
+    }
+    this.showConnectionStatus('gemini-usage', summary, type);
+
+    const list = document.getElementById('gemini-usage-models');
+    list.innerHTML = '';
+    if (status.models.length === 0) {
+      list.textContent = 'No Gemini requests today';
+      return;
+    }
+    status.models.forEach(stats => {
+      const line = document.createElement('div');
+      line.textContent = `${stats.model}: ${stats.requests} request(s), ${stats.totalTokens.toLocaleString()} tokens ` +
+        `(${stats.promptTokens.toLocaleString()} in, ${stats.outputTokens.toLocaleString()} out), ${formatCost(stats.cost)}`;
+      list.appendChild(line);
+    });
+  }
+
+  getOpenAIFormSettings() {
+    const baseUrlElement = document.getElementById('openai-base-url');
+    const apiKeyElement = document.getElementById('openai-api-key');
+    const providerSettings = {
+      openaiBaseUrl: baseUrlElement ? baseUrlElement.value.trim() : this.currentSettings.openaiBaseUrl
+    };
+    // An empty key field means the stored key, which the background fills in
+    if (apiKeyElement && apiKeyElement.value) {
+      providerSettings.openaiApiKey = apiKeyElement.value;
+    }
+    return providerSettings;
+  }
+
+  async testOpenAIConnection() {
+    const button = document.getElementById('test-openai');
+    const providerSettings = this.getOpenAIFormSettings();
+
+    if (!providerSettings.openaiBaseUrl) {
+      this.showConnectionStatus('openai-status', 'Please enter the server URL, e.g. http://localhost:1234/v1', 'warning');
+      return;
+    }
+
+    button.classList.add('loading');
+    button.textContent = 'Testing...';
+
+    try {
+      const health = await this.sendBackgroundMessage({ action: 'checkProviderHealth', settings: providerSettings });
+      const status = health.openai;
+
+      if (status && status.healthy) {
+        this.showConnectionStatus('openai-status', `Connected: ${status.version}`, 'success');
+        this.refreshAllModels();
+      } else {
+        this.showConnectionStatus('openai-status', status ? status.error : 'Provider not available', 'error');
+      }
+    } catch (error) {
+      this.showConnectionStatus('openai-status', `Connection error: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = 'Test Server Connection';
+    }
+  }
+
   async testDashboardConnection() {
     const button = document.getElementById('test-dashboard');
     const status = document.getElementById('dashboard-status');
@@ -621,7 +988,279 @@ class SettingsManager {
     this.showStatus('Settings reset to defaults', 'success');
   }
 
+  // Ensemble Weights
+  async loadEnsembleWeights() {
+    try {
+      const store = await this.sendBackgroundMessage({ action: 'getEnsembleWeights' });
+      this.populateEnsembleWeights(store);
+    } catch (error) {
+      console.error('Failed to load ensemble weights:', error);
+    }
+  }
+
+  populateEnsembleWeights(store) {
+    const select = document.getElementById('ensemble-weights-version');
+    select.innerHTML = '<option value="">Default weights</option>';
+
+    [...store.versions].reverse().forEach(weightSet => {
+      const option = document.createElement('option');
+      option.value = weightSet.version;
+      option.textContent = `Version ${weightSet.version} - ${new Date(weightSet.createdAt).toLocaleDateString()} ` +
+        `(${weightSet.accuracy}% vs ${weightSet.baselineAccuracy}% default, ${weightSet.trainingExamples} records)`;
+      select.appendChild(option);
+    });
+
+    select.value = store.activeVersion === null ? '' : String(store.activeVersion);
+  }
+
+  async trainEnsembleWeights() {
+    const button = document.getElementById('train-weights');
+    button.classList.add('loading');
+    button.textContent = 'Training...';
+
+    try {
+      const weightSet = await this.sendBackgroundMessage({ action: 'trainEnsembleWeights' });
+      this.showConnectionStatus('weights-status',
+        `Trained version ${weightSet.version}: ${weightSet.accuracy}% agreement with feedback (default weights: ${weightSet.baselineAccuracy}%)`,
+        'success');
+      await this.loadEnsembleWeights();
+    } catch (error) {
+      this.showConnectionStatus('weights-status', `Training failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = '🧠 Train from Feedback';
+    }
+  }
+
+  async activateEnsembleWeights() {
+    const value = document.getElementById('ensemble-weights-version').value;
+    const version = value === '' ? null : parseInt(value, 10);
+
+    try {
+      await this.sendBackgroundMessage({ action: 'activateEnsembleWeights', version });
+      this.showConnectionStatus('weights-status',
+        version === null ? 'Using default weights' : `Using weight set version ${version}`,
+        'success');
+    } catch (error) {
+      this.showConnectionStatus('weights-status', `Failed to switch weights: ${error.message}`, 'error');
+    }
+  }
+
+  // Probability Calibration
+  async loadCalibration() {
+    try {
+      const calibration = await this.sendBackgroundMessage({ action: 'getCalibration' });
+      this.showCalibrationStatus(calibration);
+    } catch (error) {
+      console.error('Failed to load calibration:', error);
+    }
+  }
+
+  showCalibrationStatus(calibration) {
+    if (!calibration) {
+      this.showConnectionStatus('calibration-status', 'No calibration active - raw ensemble scores are shown', 'warning');
+      return;
+    }
+
+    document.getElementById('calibration-method').value = calibration.method;
+    this.showConnectionStatus('calibration-status',
+      `${calibration.method === 'platt' ? 'Platt scaling' : 'Isotonic regression'} fit on ${calibration.examples} records ` +
+      `(Brier score ${calibration.brierRaw} raw → ${calibration.brierCalibrated} calibrated)`,
+      'success');
+  }
+
+  async fitCalibration() {
+    const button = document.getElementById('fit-calibration');
+    const method = document.getElementById('calibration-method').value;
+    button.classList.add('loading');
+    button.textContent = 'Fitting...';
+
+    try {
+      const calibration = await this.sendBackgroundMessage({ action: 'fitCalibration', method });
+      this.showCalibrationStatus(calibration);
+    } catch (error) {
+      this.showConnectionStatus('calibration-status', `Calibration failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = '📐 Fit from Feedback';
+    }
+  }
+
+  async clearCalibration() {
+    try {
+      await this.sendBackgroundMessage({ action: 'clearCalibration' });
+      this.showCalibrationStatus(null);
+    } catch (error) {
+      this.showConnectionStatus('calibration-status', `Failed to disable calibration: ${error.message}`, 'error');
+    }
+  }
+
+  // Prompt Templates
+  async loadPromptTemplates() {
+    try {
+      const templates = await this.sendBackgroundMessage({ action: 'getPromptTemplates' });
+      const selected = {
+        'prompt-template': this.currentSettings.promptTemplate,
+        'prompt-challenger': this.currentSettings.promptExperiment?.challenger
+      };
+
+      Object.entries(selected).forEach(([id, value]) => {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        templates.forEach(template => {
+          const option = document.createElement('option');
+          option.value = template.id;
+          option.textContent = `${template.name} v${template.version} - ${template.description}`;
+          select.appendChild(option);
+        });
+        // Settings saved with a retired version select its successor
+        const match = templates.find(template => template.id === value || template.replaces.includes(value));
+        if (match) {
+          select.value = match.id;
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+  }
+
+  // Embedding Corpus
+  async loadCorpusStats() {
+    try {
+      const stats = await this.sendBackgroundMessage({ action: 'getCorpusStats' });
+      this.showCorpusStatus(stats);
+    } catch (error) {
+      console.error('Failed to load embedding corpus:', error);
+    }
+  }
+
+  showCorpusStatus(stats) {
+    if (!stats || stats.total === 0) {
+      this.showConnectionStatus('corpus-status', 'Corpus is empty', 'warning');
+      return;
+    }
+
+    const type = stats.model === this.currentSettings.embeddingModel ? 'success' : 'warning';
+    const mismatch = type === 'warning' ? ' Re-embed it to use the current model.' : '';
+    this.showConnectionStatus('corpus-status',
+      `${stats.total} examples (${stats.aiExamples} AI, ${stats.humanExamples} human) embedded with ${stats.model}.${mismatch}`,
+      type);
+  }
+
+  /**
+   * Parse a labeled dataset: a JSON array, or one JSON object per line
+   */
+  parseCorpusFile(content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+    return trimmed.split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  async importCorpus() {
+    const file = document.getElementById('corpus-import-file').files[0];
+    if (!file) {
+      this.showConnectionStatus('corpus-status', 'Choose a JSON or JSON lines file first', 'warning');
+      return;
+    }
+
+    const button = document.getElementById('import-corpus');
+    button.classList.add('loading');
+    button.textContent = 'Embedding...';
+
+    try {
+      const examples = this.parseCorpusFile(await file.text());
+      const result = await this.sendBackgroundMessage({ action: 'importCorpus', examples });
+      this.showConnectionStatus('corpus-status',
+        `Imported ${result.added} examples (${result.skipped} skipped without text or label); ${result.total} in corpus`,
+        'success');
+    } catch (error) {
+      this.showConnectionStatus('corpus-status', `Import failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = '📥 Import Labeled Dataset';
+    }
+  }
+
+  async rebuildCorpus() {
+    const button = document.getElementById('rebuild-corpus');
+    button.classList.add('loading');
+    button.textContent = 'Embedding...';
+
+    try {
+      await this.sendBackgroundMessage({ action: 'rebuildCorpus' });
+      await this.loadCorpusStats();
+    } catch (error) {
+      this.showConnectionStatus('corpus-status', `Re-embedding failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = 'Re-embed Corpus';
+    }
+  }
+
+  async clearCorpus() {
+    if (!confirm('Remove every example from the embedding corpus?')) {
+      return;
+    }
+
+    try {
+      await this.sendBackgroundMessage({ action: 'clearCorpus' });
+      this.showCorpusStatus(null);
+    } catch (error) {
+      this.showConnectionStatus('corpus-status', `Failed to clear corpus: ${error.message}`, 'error');
+    }
+  }
+
+  // Analysis Cache
+  async loadCacheStats() {
+    try {
+      const stats = await this.sendBackgroundMessage({ action: 'getCacheStats' });
+      this.showCacheStats(stats);
+    } catch (error) {
+      this.showConnectionStatus('cache-stats', `Failed to load cache stats: ${error.message}`, 'error');
+    }
+  }
+
+  showCacheStats(stats) {
+    const size = `${(stats.bytes / 1024).toFixed(1)} KB of ${Math.round(stats.maxBytes / 1024 / 1024)} MB`;
+    const hitRate = stats.hitRate === null ? 'no lookups yet' : `${stats.hitRate}% hit rate (${stats.hits} hits, ${stats.misses} misses)`;
+    const oldest = stats.oldestEntry ? `, oldest from ${new Date(stats.oldestEntry).toLocaleString()}` : '';
+    this.showConnectionStatus('cache-stats', `${stats.entries} cached results, ${size}, ${hitRate}${oldest}`,
+      this.currentSettings.cacheEnabled === false ? 'warning' : 'success');
+  }
+
+  async purgeCache() {
+    if (!confirm('Remove all cached analysis results?')) {
+      return;
+    }
+
+    try {
+      const stats = await this.sendBackgroundMessage({ action: 'purgeCache' });
+      this.showCacheStats(stats);
+      this.showStatus('Analysis cache purged', 'success');
+    } catch (error) {
+      this.showConnectionStatus('cache-stats', `Failed to purge cache: ${error.message}`, 'error');
+    }
+  }
+
   // Utility Functions
+  sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.success) {
+          reject(new Error(response?.error || 'No response from background service'));
+        } else {
+          resolve(response.data);
+        }
+      });
+    });
+  }
+
   showConnectionStatus(elementId, message, type) {
     const element = document.getElementById(elementId);
     element.className = `status-indicator ${type}`;
@@ -756,41 +1395,24 @@ class SettingsManager {
     select.innerHTML = '<option value="">🔄 Loading models...</option>';
     
     try {
-      const allModels = [];
-      
-      // Get Ollama models
-      try {
-        const ollamaModels = await this.getOllamaModels();
-        ollamaModels.forEach(model => {
-          allModels.push({
-            value: `ollama:${model.name}`,
-            label: `📍 ${model.name} (Ollama)`,
-            source: 'ollama',
-            name: model.name
-          });
-        });
-      } catch (error) {
-        console.log('Ollama models not available:', error.message);
-      }
-      
-      // Get Google models if API key is available
+      // Connection fields may hold values that have not been saved yet
       const googleApiKeyElement = document.getElementById('google-api-key');
-      const googleApiKey = this.currentSettings.googleApiKey || (googleApiKeyElement ? googleApiKeyElement.value : '');
-      if (googleApiKey) {
-        try {
-          const googleModels = await this.loadGoogleModels(googleApiKey);
-          googleModels.forEach(model => {
-            allModels.push({
-              value: `google:${model.name}`,
-              label: `☁️ ${model.displayName || model.name} (Google)`,
-              source: 'google',
-              name: model.name
-            });
-          });
-        } catch (error) {
-          console.log('Google models not available:', error.message);
-        }
+      const providerSettings = this.getOpenAIFormSettings();
+      if (googleApiKeyElement && googleApiKeyElement.value) {
+        providerSettings.googleApiKey = googleApiKeyElement.value;
       }
+
+      this.providers = await this.sendBackgroundMessage({ action: 'getProviders' });
+      const { models, errors } = await this.sendBackgroundMessage({
+        action: 'listProviderModels',
+        settings: providerSettings
+      });
+
+      Object.entries(errors).forEach(([providerId, message]) => {
+        console.log(`${providerId} models not available:`, message);
+      });
+
+      const allModels = [...models];
       
       // If no models were found from APIs, add default fallback options
       if (allModels.length === 0) {
@@ -854,35 +1476,19 @@ class SettingsManager {
     defaultOption.textContent = 'Select a model...';
     select.appendChild(defaultOption);
     
-    // Group by source
-    const ollamaModels = models.filter(m => m.source === 'ollama');
-    const googleModels = models.filter(m => m.source === 'google');
-    
-    // Add Ollama models
-    if (ollamaModels.length > 0) {
-      const ollamaGroup = document.createElement('optgroup');
-      ollamaGroup.label = '📍 Ollama (Local)';
-      ollamaModels.forEach(model => {
-        const option = document.createElement('option');
-        option.value = model.value;
-        option.textContent = model.name;
-        ollamaGroup.appendChild(option);
-      });
-      select.appendChild(ollamaGroup);
-    }
-    
-    // Add Google models
-    if (googleModels.length > 0) {
-      const googleGroup = document.createElement('optgroup');
-      googleGroup.label = '☁️ Google Gemini';
-      googleModels.forEach(model => {
+    // Group by provider, in registry order
+    const sources = [...new Set(models.map(m => m.source))];
+    sources.forEach(source => {
+      const group = document.createElement('optgroup');
+      group.label = this.getProviderLabel(source);
+      models.filter(m => m.source === source).forEach(model => {
         const option = document.createElement('option');
         option.value = model.value;
         option.textContent = model.name;
-        googleGroup.appendChild(option);
+        group.appendChild(option);
       });
-      select.appendChild(googleGroup);
-    }
+      select.appendChild(group);
+    });
     
     // Restore the previously selected model if it exists in the new list
     if (this.currentSettings.selectedModel) {
@@ -892,6 +1498,7 @@ class SettingsManager {
       // If the saved value doesn't exist in the new list, log a warning
       if (select.value !== savedValue) {
         console.warn(`Previously selected model "${savedValue}" not found in current model list`);
+        this.suggestModelPull(savedValue);
         // Keep the setting but reset the dropdown to default
         select.value = '';
       } else {
@@ -899,7 +1506,196 @@ class SettingsManager {
       }
     }
     
-    console.log(`Populated ${models.length} total models (${ollamaModels.length} Ollama, ${googleModels.length} Google)`);
+    this.populateFallbackOptions(select);
+    this.populateVotingOptions(select);
+    
+    console.log(`Populated ${models.length} total models from ${sources.length} providers`);
+  }
+
+  // Model Download
+  /**
+   * Offer to download a selected Ollama model that the server does not have
+   */
+  suggestModelPull(modelId) {
+    if (!modelId.startsWith('ollama:')) return;
+
+    const model = modelId.slice('ollama:'.length);
+    document.getElementById('pull-model-name').value = model;
+    this.showConnectionStatus('pull-status', `Selected model ${model} is not installed. Click Download Model to get it.`, 'warning');
+  }
+
+  async pullModel(model) {
+    if (!model) {
+      this.showConnectionStatus('pull-status', 'Enter a model name, e.g. gemma3n:e4b', 'warning');
+      return;
+    }
+
+    const button = document.getElementById('pull-model');
+    button.classList.add('loading');
+    button.textContent = 'Downloading...';
+
+    try {
+      await new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'model-pull' });
+        let settled = false;
+
+        port.onMessage.addListener((message) => {
+          if (message.type === 'progress') {
+            const percent = message.percent !== null ? ` ${message.percent}%` : '';
+            this.showConnectionStatus('pull-status', `${model}: ${message.status}${percent}`, 'warning');
+            return;
+          }
+
+          settled = true;
+          port.disconnect();
+          if (message.type === 'done') {
+            resolve(message.data);
+          } else {
+            reject(new Error(message.error || 'Model download failed'));
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          if (!settled) {
+            reject(new Error(chrome.runtime.lastError?.message || 'Connection to background closed'));
+          }
+        });
+
+        port.postMessage({ action: 'pullModel', model });
+      });
+
+      this.showConnectionStatus('pull-status', `${model} downloaded`, 'success');
+      await this.refreshAllModels();
+    } catch (error) {
+      this.showConnectionStatus('pull-status', `Download failed: ${error.message}`, 'error');
+    } finally {
+      button.classList.remove('loading');
+      button.textContent = '📥 Download Model';
+    }
+  }
+
+  // Fallback Chain
+  populateFallbackOptions(modelSelect) {
+    const select = document.getElementById('fallback-model');
+    select.innerHTML = '<option value="">Add a fallback...</option>';
+
+    // Same models as the main dropdown, minus its placeholder option
+    Array.from(modelSelect.children)
+      .filter(node => node.tagName === 'OPTGROUP')
+      .forEach(group => select.appendChild(group.cloneNode(true)));
+
+    // Providers that need no model are chain entries on their own
+    this.getModellessProviders().forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = `${provider.icon} ${provider.name}`;
+      select.appendChild(option);
+    });
+  }
+
+  getProviderLabel(providerId) {
+    const provider = (this.providers || []).find(p => p.id === providerId);
+    return provider ? `${provider.icon} ${provider.name}` : providerId;
+  }
+
+  getModellessProviders() {
+    if (!this.providers) {
+      // Provider list not loaded yet; statistical analysis is always registered
+      return [{ id: 'statistical', name: 'Statistical only', icon: '📊' }];
+    }
+    return this.providers.filter(provider => !provider.requiresModel);
+  }
+
+  renderFallbackChain() {
+    const list = document.getElementById('fallback-chain-list');
+    const chain = this.currentSettings.fallbackChain || [];
+    list.innerHTML = '';
+
+    chain.forEach((entry, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const modelless = this.getModellessProviders().find(provider => provider.id === entry);
+      label.textContent = modelless ? `${modelless.icon} ${modelless.name}` : entry;
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'fallback-remove';
+      removeButton.title = 'Remove from chain';
+      removeButton.textContent = '✕';
+      removeButton.addEventListener('click', () => this.removeFallback(index));
+
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+  }
+
+  addFallback(entry) {
+    const chain = this.currentSettings.fallbackChain || [];
+    if (!entry || chain.includes(entry)) return;
+
+    this.currentSettings.fallbackChain = [...chain, entry];
+    this.renderFallbackChain();
+    this.saveSettings();
+  }
+
+  removeFallback(index) {
+    this.currentSettings.fallbackChain = this.currentSettings.fallbackChain.filter((_, i) => i !== index);
+    this.renderFallbackChain();
+    this.saveSettings();
+  }
+
+  // Model Voting
+  populateVotingOptions(modelSelect) {
+    const select = document.getElementById('voting-model');
+    select.innerHTML = '<option value="">Add a voting model...</option>';
+
+    // Only LLMs vote, so no model-less providers here
+    Array.from(modelSelect.children)
+      .filter(node => node.tagName === 'OPTGROUP')
+      .forEach(group => select.appendChild(group.cloneNode(true)));
+  }
+
+  renderVotingModels() {
+    const list = document.getElementById('voting-model-list');
+    const models = this.currentSettings.votingModels || [];
+    list.innerHTML = '';
+
+    models.forEach((entry, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = entry;
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'fallback-remove';
+      removeButton.title = 'Remove from vote';
+      removeButton.textContent = '✕';
+      removeButton.addEventListener('click', () => this.removeVotingModel(index));
+
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+  }
+
+  addVotingModel(entry) {
+    const models = this.currentSettings.votingModels || [];
+    if (!entry || models.includes(entry)) return;
+
+    // The selected model always votes, so at most two more
+    if (models.length >= 2) {
+      this.showStatus('At most two extra models can vote', 'warning');
+      return;
+    }
+
+    this.currentSettings.votingModels = [...models, entry];
+    this.renderVotingModels();
+    this.saveSettings();
+  }
+
+  removeVotingModel(index) {
+    this.currentSettings.votingModels = this.currentSettings.votingModels.filter((_, i) => i !== index);
+    this.renderVotingModels();
+    this.saveSettings();
   }
 
   formatBytes(bytes) {
@@ -0,0 +1,179 @@
+/**
+ * Analysis Cache
+ * Keeps analysis results in IndexedDB so they survive the service worker
+ * going to sleep. Entries expire after their time to live, and the least
+ * recently used ones are evicted once the cache grows past its size limit.
+ */
+
+const DB_NAME = 'inposter-analysis-cache';
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const COUNTERS = 'counters';
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Cache transaction aborted'));
+  });
+}
+
+export class AnalysisCache {
+  constructor({ maxBytes = 5 * 1024 * 1024 } = {}) {
+    this.maxBytes = maxBytes;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const entries = db.createObjectStore(ENTRIES, { keyPath: 'key' });
+        entries.createIndex('lastAccessed', 'lastAccessed');
+        entries.createIndex('expiresAt', 'expiresAt');
+        db.createObjectStore(COUNTERS);
+      };
+      this.dbPromise = requestResult(request).catch(error => {
+        // Let the next call try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Cached analysis for key, or null when there is none, it has expired or
+   * it is older than maxAge milliseconds (so a shorter cache duration applies
+   * to existing entries too). A hit counts as a use for LRU eviction.
+   */
+  async get(key, maxAge = Infinity) {
+    const db = await this.open();
+    const transaction = db.transaction([ENTRIES, COUNTERS], 'readwrite');
+    const entries = transaction.objectStore(ENTRIES);
+    const entry = await requestResult(entries.get(key));
+    const now = Date.now();
+
+    let analysis = null;
+    if (entry && entry.expiresAt > now && now - entry.createdAt < maxAge) {
+      entries.put({ ...entry, lastAccessed: now, hits: entry.hits + 1 });
+      analysis = entry.analysis;
+    } else if (entry) {
+      entries.delete(key);
+    }
+    this.count(transaction, analysis ? 'hits' : 'misses');
+
+    await transactionDone(transaction);
+    return analysis;
+  }
+
+  /**
+   * Store analysis under key for ttl milliseconds
+   */
+  async set(key, analysis, ttl) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRIES, 'readwrite');
+    const now = Date.now();
+    transaction.objectStore(ENTRIES).put({
+      key,
+      analysis,
+      size: JSON.stringify(analysis).length,
+      createdAt: now,
+      lastAccessed: now,
+      expiresAt: now + ttl,
+      hits: 0
+    });
+    await transactionDone(transaction);
+
+    await this.evict();
+  }
+
+  /**
+   * Number of stored entries, expired ones included until they are evicted
+   */
+  async size() {
+    const db = await this.open();
+    return requestResult(db.transaction(ENTRIES, 'readonly').objectStore(ENTRIES).count());
+  }
+
+  count(transaction, name) {
+    const counters = transaction.objectStore(COUNTERS);
+    const request = counters.get(name);
+    request.onsuccess = () => counters.put((request.result || 0) + 1, name);
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones until the
+   * cache fits in maxBytes. Returns the number of entries removed.
+   */
+  async evict() {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRIES, 'readwrite');
+    const entries = transaction.objectStore(ENTRIES);
+    const now = Date.now();
+    let removed = 0;
+
+    for (const key of await requestResult(entries.index('expiresAt').getAllKeys(IDBKeyRange.upperBound(now)))) {
+      entries.delete(key);
+      removed++;
+    }
+
+    const live = (await requestResult(entries.index('lastAccessed').getAll()))
+      .filter(entry => entry.expiresAt > now);
+    let bytes = live.reduce((sum, entry) => sum + entry.size, 0);
+    // Oldest access first
+    for (const entry of live) {
+      if (bytes <= this.maxBytes) break;
+      entries.delete(entry.key);
+      bytes -= entry.size;
+      removed++;
+    }
+
+    await transactionDone(transaction);
+    return removed;
+  }
+
+  /**
+   * Remove every cached analysis, e.g. after the scoring changed. Hit and
+   * miss counts are kept unless resetCounters is set.
+   */
+  async clear({ resetCounters = false } = {}) {
+    const db = await this.open();
+    const stores = resetCounters ? [ENTRIES, COUNTERS] : [ENTRIES];
+    const transaction = db.transaction(stores, 'readwrite');
+    stores.forEach(store => transaction.objectStore(store).clear());
+    await transactionDone(transaction);
+  }
+
+  async getStats() {
+    const db = await this.open();
+    const transaction = db.transaction([ENTRIES, COUNTERS], 'readonly');
+    const entries = await requestResult(transaction.objectStore(ENTRIES).getAll());
+    const counters = transaction.objectStore(COUNTERS);
+    const hits = (await requestResult(counters.get('hits'))) || 0;
+    const misses = (await requestResult(counters.get('misses'))) || 0;
+    const now = Date.now();
+    const live = entries.filter(entry => entry.expiresAt > now);
+
+    return {
+      entries: live.length,
+      expired: entries.length - live.length,
+      bytes: live.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.maxBytes,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 10 : null,
+      oldestEntry: live.length > 0 ? Math.min(...live.map(entry => entry.createdAt)) : null
+    };
+  }
+}
+
+export default AnalysisCache;
@@ -0,0 +1,182 @@
+/**
+ * Embedding Corpus for nearest-neighbour AI detection
+ * Keeps labeled texts with their embeddings in extension storage and scores
+ * new text by the labels of its most similar stored examples
+ */
+
+export class EmbeddingCorpus {
+  constructor() {
+    this.storageKey = 'ai-detector-embedding-corpus';
+    this.maxEntries = 1000;
+    // Fewer examples than this give no kNN verdict
+    this.minExamples = 5;
+    this.defaultNeighbors = 5;
+    // Stored text is only used to re-embed when the embedding model changes
+    this.maxTextLength = 2000;
+  }
+
+  async getCorpus() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || { model: null, entries: [] };
+    } catch (error) {
+      console.error('Failed to load embedding corpus:', error);
+      return { model: null, entries: [] };
+    }
+  }
+
+  async saveCorpus(corpus) {
+    await chrome.storage.local.set({ [this.storageKey]: corpus });
+  }
+
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /**
+   * Probability (0-1) that an imported label means AI-generated: 'ai' or
+   * 'human', a boolean, or a number from 0 to 1. null when unrecognized.
+   */
+  static normalizeLabel(label) {
+    if (typeof label === 'boolean') return label ? 1 : 0;
+    if (typeof label === 'number') return label >= 0 && label <= 1 ? label : null;
+    if (typeof label === 'string') {
+      const value = label.trim().toLowerCase();
+      if (['ai', 'machine', 'generated', 'ai-generated'].includes(value)) return 1;
+      if (['human', 'human-written'].includes(value)) return 0;
+    }
+    return null;
+  }
+
+  static hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash) + text.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return hash.toString(36);
+  }
+
+  static cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Add labeled examples. embed(text) returns the embedding under model.
+   * An example whose text is already stored replaces the old one.
+   */
+  async addExamples(examples, model, embed, source = 'import') {
+    const corpus = await this.getCorpus();
+    if (corpus.entries.length > 0 && corpus.model !== model) {
+      throw new Error(`Corpus was embedded with ${corpus.model}; rebuild it before adding ${model} embeddings`);
+    }
+
+    let added = 0;
+    for (const example of examples) {
+      const label = EmbeddingCorpus.normalizeLabel(example.label);
+      const text = (example.text || '').trim().substring(0, this.maxTextLength);
+      if (label === null || !text) continue;
+
+      const textHash = EmbeddingCorpus.hashText(text);
+      const embedding = await embed(text);
+      corpus.entries = corpus.entries.filter(entry => entry.textHash !== textHash);
+      corpus.entries.push({
+        textHash,
+        text,
+        label,
+        source: example.source || source,
+        // Four decimals keep similarity intact at a fraction of the storage
+        embedding: embedding.map(value => Math.round(value * 10000) / 10000),
+        addedAt: Date.now()
+      });
+      added++;
+    }
+
+    // Oldest entries go first once the corpus is full
+    corpus.entries = corpus.entries.slice(-this.maxEntries);
+    corpus.model = model;
+    await this.saveCorpus(corpus);
+
+    return { added, skipped: examples.length - added, total: corpus.entries.length, model };
+  }
+
+  /**
+   * Re-embed every stored text with model
+   */
+  async rebuild(model, embed) {
+    const corpus = await this.getCorpus();
+    const entries = [];
+    for (const entry of corpus.entries) {
+      const embedding = await embed(entry.text);
+      entries.push({ ...entry, embedding: embedding.map(value => Math.round(value * 10000) / 10000) });
+    }
+
+    await this.saveCorpus({ model, entries });
+    return { total: entries.length, model };
+  }
+
+  async getStats() {
+    const corpus = await this.getCorpus();
+    const bySource = {};
+    corpus.entries.forEach(entry => {
+      bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+    });
+
+    return {
+      model: corpus.model,
+      total: corpus.entries.length,
+      aiExamples: corpus.entries.filter(entry => entry.label >= 0.5).length,
+      humanExamples: corpus.entries.filter(entry => entry.label < 0.5).length,
+      bySource
+    };
+  }
+
+  /**
+   * kNN verdict for an embedding: likelihood is the similarity-weighted
+   * label of the k nearest examples, confidence how similar and how unanimous
+   * they are. null when the corpus is too small or built with another model.
+   */
+  predict(corpus, embedding, model, k = this.defaultNeighbors) {
+    if (corpus.model !== model || corpus.entries.length < this.minExamples) {
+      return null;
+    }
+
+    const neighbors = corpus.entries
+      .map(entry => ({ entry, similarity: EmbeddingCorpus.cosineSimilarity(embedding, entry.embedding) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+
+    // Dissimilar neighbours count for little; negative similarity not at all
+    const weights = neighbors.map(neighbor => Math.max(neighbor.similarity, 0.001));
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const likelihood = neighbors.reduce((sum, neighbor, i) => sum + neighbor.entry.label * weights[i], 0) / weightSum;
+
+    const meanSimilarity = neighbors.reduce((sum, neighbor) => sum + Math.max(neighbor.similarity, 0), 0) / neighbors.length;
+    const aiNeighbors = neighbors.filter(neighbor => neighbor.entry.label >= 0.5).length;
+    const unanimity = Math.max(aiNeighbors, neighbors.length - aiNeighbors) / neighbors.length;
+
+    return {
+      likelihood: Math.round(likelihood * 100),
+      confidence: Math.round(meanSimilarity * unanimity * 100),
+      k: neighbors.length,
+      corpusSize: corpus.entries.length,
+      model,
+      neighbors: neighbors.map(neighbor => ({
+        preview: neighbor.entry.text.substring(0, 80),
+        label: Math.round(neighbor.entry.label * 100),
+        similarity: Math.round(neighbor.similarity * 1000) / 1000,
+        source: neighbor.entry.source
+      }))
+    };
+  }
+}
+
+export default EmbeddingCorpus;
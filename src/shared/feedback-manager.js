@@ -107,8 +107,12 @@ export class FeedbackManager {
       // Analysis Results
       aiScoring: {
         likelihood: analysisData.likelihood,
+        rawLikelihood: analysisData.rawLikelihood ?? analysisData.likelihood,
+        calibratedLikelihood: analysisData.calibratedLikelihood ?? analysisData.likelihood,
         confidence: analysisData.confidence,
         ...(analysisData.statisticalBreakdown || {}),
+        llmLikelihood: analysisData.llmAnalysis ? analysisData.llmAnalysis.likelihood : null,
+        statisticalScore: analysisData.statisticalScore,
         agreementScore: this.calculateAgreement(analysisData.llmAnalysis, analysisData.statisticalBreakdown)
       },
       
@@ -117,6 +121,7 @@ export class FeedbackManager {
       cacheHit: analysisData.fromCache || false,
       promptVersion: systemInfo.promptVersion || '1.0',
       statisticalWeights: systemInfo.statisticalWeights || {},
+      weightsVersion: analysisData.weightsVersion || null,
       uncertaintyFlags: this.detectUncertaintyFlags(analysisData),
       
       // Performance Metrics
@@ -142,6 +147,11 @@ export class FeedbackManager {
       confidenceCalibration: null // Will be calculated when feedback is provided
     };
 
+    // Keep the record so later feedback can be attached and used for training
+    const records = await this.getFeedbackRecords();
+    records.push(record);
+    await this.storeFeedbackRecords(records);
+
     await this.storeSession(this.currentSession);
     return record;
   }
@@ -311,7 +321,8 @@ export class FeedbackManager {
   }
 
   detectUncertaintyFlags(analysisData) {
-    const flags = [];
+    // Flags raised by the analysis itself, e.g. prompt_injection
+    const flags = [...(analysisData.uncertaintyFlags || [])];
     
     if (analysisData.confidence < 50) flags.push('low_confidence');
     if (Math.abs(analysisData.likelihood - 50) < 10) flags.push('borderline_result');
@@ -320,6 +331,36 @@ export class FeedbackManager {
     return flags;
   }
 
+  /**
+   * Probability (0-1) that the text was AI-generated according to the user's
+   * feedback, or null when the record has no usable feedback
+   */
+  static getAILabel(record) {
+    const userCorrection = record.userFeedback?.correction;
+    if (userCorrection && typeof userCorrection.aiPercentage === 'number') {
+      return userCorrection.aiPercentage / 100;
+    }
+
+    const feedback = record.feedback;
+    if (feedback) {
+      if (feedback.correction && typeof feedback.correction.aiPercentage === 'number') {
+        return feedback.correction.aiPercentage / 100;
+      }
+      // The analysis modal slider reports the human-written percentage
+      if (typeof feedback.correction === 'number') {
+        return (100 - feedback.correction) / 100;
+      }
+    }
+
+    // A bare rating confirms or rejects the side of 50% the user was shown
+    const rating = feedback?.rating || record.userFeedback?.rating;
+    const predictedAI = record.aiScoring?.likelihood >= 50;
+    if (rating === 'thumbs_up') return predictedAI ? 1 : 0;
+    if (rating === 'thumbs_down') return predictedAI ? 0 : 1;
+
+    return null;
+  }
+
   calculateConfidenceCalibration(ourLikelihood, ourConfidence, userLikelihood) {
     const predictionAccuracy = 100 - Math.abs(ourLikelihood - userLikelihood);
     const calibrationScore = ourConfidence * (predictionAccuracy / 100);
@@ -470,7 +511,7 @@ export class FeedbackManager {
       await this.sendFeedbackToDashboard(record);
 
       console.log('Feedback submitted successfully');
-      return true;
+      return record;
     } catch (error) {
       console.error('Failed to submit feedback:', error);
       throw error;
@@ -490,7 +531,9 @@ export class FeedbackManager {
         reasonText: record.feedback?.reasonText,
         userExpertise: record.feedback?.userExpertise || 'beginner',
         isHelpful: record.feedback?.isHelpful || false,
-        sessionId: record.sessionId
+        sessionId: record.sessionId,
+        promptVersion: record.promptVersion,
+        predictedLikelihood: record.aiScoring?.likelihood
       };
 
       const response = await fetch(`${dashboardUrl}/api/feedback`, {
@@ -0,0 +1,243 @@
+/**
+ * Gemini Quota
+ * Keeps a shared Gemini key within its limits: a token bucket spaces requests
+ * to the configured requests per minute, and the token counts Gemini reports
+ * in usageMetadata are totalled per day and model against a daily budget
+ */
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 15;
+export const MAX_RATE_LIMIT_RETRIES = 3;
+
+const BASE_BACKOFF = 2000;
+const MAX_BACKOFF = 60 * 1000;
+
+// Estimated USD per million tokens. Keys are name prefixes, so versioned
+// names such as gemini-1.5-flash-002 match; the longest prefix wins.
+export const MODEL_PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-pro': { input: 0.50, output: 1.50 }
+};
+
+/**
+ * Estimated cost in USD, or null for a model without known pricing
+ */
+export function estimateCost(model, promptTokens, outputTokens) {
+  const name = model.replace(/^models\//, '');
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) {
+    return null;
+  }
+
+  const pricing = MODEL_PRICING[prefix];
+  return (promptTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+/**
+ * How long to wait before retrying a 429: the delay Gemini asks for in its
+ * RetryInfo detail or Retry-After header, else exponential backoff with jitter
+ */
+export function backoffDelay(attempt, response, data = {}) {
+  const retryInfo = data.error?.details?.find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const requested = parseFloat(retryInfo?.retryDelay) || parseFloat(response.headers?.get('retry-after'));
+  if (requested > 0) {
+    return Math.min(MAX_BACKOFF, Math.ceil(requested * 1000));
+  }
+
+  const delay = BASE_BACKOFF * Math.pow(2, attempt);
+  return Math.min(MAX_BACKOFF, delay + Math.random() * delay * 0.25);
+}
+
+/**
+ * Resolve after ms, or reject with the abort reason when signal aborts first
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Local calendar day, the period the daily budget covers
+function usageDate() {
+  return new Date().toLocaleDateString('en-CA');
+}
+
+function sumTokens(usage) {
+  return Object.values(usage.models).reduce((sum, stats) => sum + stats.totalTokens, 0);
+}
+
+export class GeminiQuota {
+  constructor() {
+    this.storageKey = 'ai-detector-gemini-usage';
+    this.requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE;
+    this.dailyTokenBudget = 0;
+    this.tokens = this.requestsPerMinute;
+    this.lastRefill = Date.now();
+    this.usage = null;
+    // Called with each recorded request, e.g. to report it to the dashboard
+    this.onUsage = null;
+  }
+
+  /**
+   * Apply the limits from settings. 0 turns a limit off.
+   */
+  configure({ requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, dailyTokenBudget = 0 } = {}) {
+    const rate = Math.max(0, Number(requestsPerMinute) || 0);
+    if (rate !== this.requestsPerMinute) {
+      this.refill();
+      this.requestsPerMinute = rate;
+      this.tokens = Math.min(this.tokens, rate);
+    }
+    this.dailyTokenBudget = Math.max(0, Number(dailyTokenBudget) || 0);
+  }
+
+  refill() {
+    const now = Date.now();
+    const refilled = (now - this.lastRefill) / 60000 * this.requestsPerMinute;
+    this.tokens = Math.min(this.requestsPerMinute, this.tokens + refilled);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until the bucket holds a request, then spend it
+   */
+  async acquire(signal = null) {
+    if (!this.requestsPerMinute) {
+      return;
+    }
+
+    this.refill();
+    while (this.tokens < 1) {
+      await sleep(Math.ceil((1 - this.tokens) / this.requestsPerMinute * 60000), signal);
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  /**
+   * Empty the bucket after a 429, so other requests slow down as well
+   */
+  drain() {
+    this.refill();
+    this.tokens = Math.min(this.tokens, 0);
+  }
+
+  /**
+   * Today's usage, starting a new day's record when the date has changed
+   */
+  async loadUsage() {
+    if (!this.usage) {
+      const result = await chrome.storage.local.get(this.storageKey);
+      this.usage = result[this.storageKey] || null;
+    }
+    if (!this.usage || this.usage.date !== usageDate()) {
+      this.usage = { date: usageDate(), models: {}, rateLimited: 0 };
+    }
+    return this.usage;
+  }
+
+  async saveUsage() {
+    await chrome.storage.local.set({ [this.storageKey]: this.usage });
+  }
+
+  /**
+   * Throw when a request of about estimatedTokens would go over the daily budget
+   */
+  async checkBudget(estimatedTokens = 0) {
+    if (!this.dailyTokenBudget) {
+      return;
+    }
+
+    const used = sumTokens(await this.loadUsage());
+    if (used + estimatedTokens > this.dailyTokenBudget) {
+      throw new Error(`Daily Gemini token budget reached: ${used.toLocaleString()} of ${this.dailyTokenBudget.toLocaleString()} tokens used today. Raise the budget in settings or try again tomorrow.`);
+    }
+  }
+
+  /**
+   * Add one request's token counts, as reported in Gemini's usageMetadata
+   */
+  async recordUsage(model, usageMetadata = {}) {
+    const usage = await this.loadUsage();
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    // Thinking models bill their thoughts as output
+    const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    const totalTokens = usageMetadata.totalTokenCount || promptTokens + outputTokens;
+    const cost = estimateCost(model, promptTokens, outputTokens);
+
+    const stats = usage.models[model] || { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+    stats.requests += 1;
+    stats.promptTokens += promptTokens;
+    stats.outputTokens += outputTokens;
+    stats.totalTokens += totalTokens;
+    stats.cost = cost === null ? null : stats.cost + cost;
+    usage.models[model] = stats;
+    await this.saveUsage();
+
+    this.report({ model, requests: 1, promptTokens, outputTokens, totalTokens, cost, rateLimited: false });
+  }
+
+  async recordRateLimit(model) {
+    const usage = await this.loadUsage();
+    usage.rateLimited += 1;
+    await this.saveUsage();
+
+    this.report({ model, requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, rateLimited: true });
+  }
+
+  report(event) {
+    if (this.onUsage) {
+      this.onUsage({
+        ...event,
+        provider: 'google',
+        dailyTokens: sumTokens(this.usage),
+        dailyTokenBudget: this.dailyTokenBudget,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Today's usage per model with the remaining budget, for the settings page
+   */
+  async getStatus() {
+    const usage = await this.loadUsage();
+    const tokensUsed = sumTokens(usage);
+    const models = Object.entries(usage.models).map(([model, stats]) => ({ model, ...stats }));
+    this.refill();
+
+    return {
+      date: usage.date,
+      requestsPerMinute: this.requestsPerMinute,
+      dailyTokenBudget: this.dailyTokenBudget,
+      tokensUsed,
+      tokensRemaining: this.dailyTokenBudget ? Math.max(0, this.dailyTokenBudget - tokensUsed) : null,
+      requestsAvailable: this.requestsPerMinute ? Math.floor(this.tokens) : null,
+      rateLimited: usage.rateLimited,
+      estimatedCost: models.reduce((sum, stats) => sum + (stats.cost || 0), 0),
+      models
+    };
+  }
+}
+
+export default GeminiQuota;
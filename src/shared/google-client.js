@@ -4,6 +4,72 @@
  */
 
 import StatisticalAnalyzer from './statistical-analyzer.js';
+import { analyzeInChunks, estimateTokens } from './text-chunker.js';
+import { readSseStream, extractPartialReasoning } from './stream-reader.js';
+import { sampleAnalyses, normalizeSampleCount, SAMPLING_TEMPERATURE, SAMPLING_TOP_P } from './self-consistency.js';
+import promptTemplates, { DEFAULT_TEMPLATE_ID } from './prompt-templates.js';
+import GeminiQuota, { MAX_RATE_LIMIT_RETRIES, backoffDelay, sleep } from './gemini-quota.js';
+
+// Verdict shape Gemini must reply in; it matches the JSON the prompt templates ask for
+const RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    likelihood: { type: 'INTEGER', description: 'Chance from 0 to 100 that the text is AI-generated' },
+    confidence: { type: 'INTEGER', description: 'Confidence in the likelihood, 0 to 100' },
+    reasoning: { type: 'STRING', description: 'Brief explanation that matches the likelihood' },
+    key_indicators: { type: 'ARRAY', items: { type: 'STRING' } }
+  },
+  required: ['likelihood', 'confidence', 'reasoning', 'key_indicators'],
+  propertyOrdering: ['likelihood', 'confidence', 'reasoning', 'key_indicators']
+};
+
+// Why Gemini withholds an answer, by promptFeedback.blockReason or finishReason
+const BLOCK_EXPLANATIONS = {
+  SAFETY: 'its safety filters flagged the content',
+  IMAGE_SAFETY: 'its safety filters flagged the content',
+  RECITATION: 'the answer would have repeated memorized or copyrighted text',
+  BLOCKLIST: 'the content contains blocklisted terms',
+  PROHIBITED_CONTENT: 'the content may be prohibited',
+  SPII: 'the content may contain sensitive personal information',
+  LANGUAGE: 'the language is not supported',
+  OTHER: 'no reason was given'
+};
+
+/**
+ * Why Gemini withheld its answer, or null when it did not. A prompt can be
+ * refused outright (promptFeedback.blockReason) or the reply stopped early
+ * (a blocking finishReason); safetyRatings name the categories involved.
+ */
+function findBlock(data) {
+  let source;
+  let reason;
+  let safetyRatings;
+  const candidate = data.candidates?.[0];
+
+  if (data.promptFeedback?.blockReason) {
+    source = 'prompt';
+    reason = data.promptFeedback.blockReason;
+    safetyRatings = data.promptFeedback.safetyRatings;
+  } else if (candidate && candidate.finishReason in BLOCK_EXPLANATIONS) {
+    source = 'response';
+    reason = candidate.finishReason;
+    safetyRatings = candidate.safetyRatings;
+  } else {
+    return null;
+  }
+
+  const categories = (safetyRatings || [])
+    .filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability))
+    .map(rating => rating.category.replace('HARM_CATEGORY_', '').replace(/_/g, ' ').toLowerCase());
+  const why = BLOCK_EXPLANATIONS[reason] || BLOCK_EXPLANATIONS.OTHER;
+
+  return {
+    source,
+    reason,
+    categories,
+    explanation: `${source === 'prompt' ? 'Gemini refused to analyze this text' : 'Gemini stopped its answer'}: ${why}${categories.length > 0 ? ` (${categories.join(', ')})` : ''}.`
+  };
+}
 
 class GoogleClient {
   constructor() {
@@ -11,6 +77,7 @@ class GoogleClient {
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
     this.availableModels = [];
     this.statisticalAnalyzer = new StatisticalAnalyzer();
+    this.quota = new GeminiQuota();
   }
 
   /**
@@ -21,6 +88,14 @@ class GoogleClient {
     console.log('Google API key updated');
   }
 
+  /**
+   * Request headers carrying apiKey. The key goes in a header rather than
+   * the query string, where it would end up in logs and history.
+   */
+  authHeaders(apiKey = this.apiKey) {
+    return { 'x-goog-api-key': apiKey };
+  }
+
   /**
    * Validate API key by testing a simple request
    */
@@ -30,7 +105,7 @@ class GoogleClient {
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}/models?key=${apiKey}`);
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.authHeaders(apiKey) });
       const data = await response.json();
       
       if (!response.ok) {
@@ -53,7 +128,7 @@ class GoogleClient {
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}/models?key=${apiKey}`);
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.authHeaders(apiKey) });
       const data = await response.json();
       
       if (!response.ok) {
@@ -81,9 +156,14 @@ class GoogleClient {
   }
 
   /**
-   * Analyze text using Google Gemini API
+   * Analyze text using Google Gemini API. method is 'ensemble' or 'llm-only'.
+   * Long texts are analyzed in chunks of options.chunkTokenBudget tokens.
+   * options.onProgress, when given, streams the reply and receives
+   * { chunkIndex, chunkCount, tokens, reasoning }. options.signal aborts the
+   * API requests. options.samples above 1 turns on self-consistency sampling.
+   * options.promptTemplate is the prompt template id.
    */
-  async analyzeText(text, modelName = 'gemini-pro', customInstructions = '') {
+  async analyzeText(text, modelName = 'gemini-pro', customInstructions = '', method = 'ensemble', options = {}) {
     if (!this.apiKey) {
       throw new Error('No Google API key configured');
     }
@@ -95,94 +175,28 @@ class GoogleClient {
     const analysisStartTime = Date.now();
     
     try {
-      let prompt = `You are an expert AI content detector. Analyze the following text to determine if it was written by AI or a human.
-
-IMPORTANT: Your likelihood score MUST match your reasoning. If you say it's likely human-written, the likelihood should be LOW (0-40). If you say it's likely AI-written, the likelihood should be HIGH (60-100).
-
-ANALYSIS CRITERIA:
-1. **Linguistic Patterns**: AI often uses phrases like "Furthermore," "Moreover," "It's important to note," "In conclusion"
-2. **Writing Style**: AI tends toward formal tone, lacks personal voice, uses generic expressions
-3. **Content Flow**: AI has overly smooth/formulaic transitions vs. natural human irregularities
-4. **Vocabulary**: AI may be repetitive/formulaic vs. diverse/natural human choice
-5. **Sentence Structure**: AI creates uniform sentences vs. natural human variation
-6. **Specificity**: AI uses vague generalities vs. concrete details/personal insights
-7. **Imperfections**: Humans have natural quirks, typos, conversational elements
-
-SCORING GUIDE:
-- 0-20: Almost certainly human-written
-- 21-40: Likely human-written
-- 41-60: Uncertain/mixed signals
-- 61-80: Likely AI-written  
-- 81-100: Almost certainly AI-written`;
-
-      // Add custom instructions if provided
-      if (customInstructions && customInstructions.trim()) {
-        prompt += `\n\nADDITIONAL INSTRUCTIONS:\n${customInstructions.trim()}`;
-      }
-
-      prompt += `\n\nTEXT TO ANALYZE:
-"${text.substring(0, 2000)}"
-
-Respond with ONLY a JSON object in this exact format:
-{
-  "likelihood": 75,
-  "confidence": 85,
-  "reasoning": "Your detailed reasoning that MATCHES the likelihood score",
-  "key_indicators": ["Indicator 1", "Indicator 2", "Indicator 3"]
-}`;
-
-      const requestBody = {
-        contents: [{
-          parts: [{ text: prompt }]
-        }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 1000,
-          topP: 0.1,
-          topK: 16
-        }
-      };
-
-      const response = await fetch(
-        `${this.baseUrl}/models/${modelName}:generateContent?key=${this.apiKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody)
-        }
+      const { llmAnalysis: llmResult, chunks } = await analyzeInChunks(
+        text,
+        options.chunkTokenBudget,
+        (chunkText, chunk, chunkCount) => this.requestAnalysis(chunkText, modelName, customInstructions, {
+          signal: options.signal,
+          samples: options.samples,
+          promptTemplate: options.promptTemplate,
+          onProgress: options.onProgress && (progress => options.onProgress({ ...progress, chunkIndex: chunk.index, chunkCount }))
+        })
       );
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error?.message || `Google API Error: ${response.status}`);
-      }
-
-      const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (!responseText) {
-        throw new Error('No response text from Google API');
-      }
-
-      console.log('🤖 Google API RAW RESPONSE:');
-      console.log('==================');
-      console.log(responseText);
-      console.log('==================');
-
-      // Parse the JSON response
-      const llmResult = this.parseGoogleResponse(responseText);
       
       // Add statistical analysis to match Ollama client format
       const statisticalStartTime = Date.now();
       const statisticalStats = this.statisticalAnalyzer.analyze(text);
+      const segmentAnalysis = this.statisticalAnalyzer.analyzeSegments(text);
       const statisticalTime = Date.now() - statisticalStartTime;
       
       // Create ensemble result combining Google LLM + statistical analysis
       const ensembleResult = this.statisticalAnalyzer.calculateEnsembleScore(
         statisticalStats, 
-        llmResult
+        llmResult,
+        method
       );
       
       const totalTime = Date.now() - analysisStartTime;
@@ -191,12 +205,20 @@ Respond with ONLY a JSON object in this exact format:
       // Return format matching Ollama client
       return {
         likelihood: ensembleResult.likelihood,
+        rawLikelihood: ensembleResult.rawLikelihood,
+        calibratedLikelihood: ensembleResult.calibratedLikelihood,
+        calibrationMethod: ensembleResult.calibrationMethod,
         confidence: ensembleResult.confidence,
         reasoning: llmResult.reasoning,
-        rawResponse: responseText,
+        rawResponse: llmResult.rawResponse,
         statisticalBreakdown: ensembleResult.breakdown,
+        statisticalScore: ensembleResult.statisticalScore,
+        weightsVersion: ensembleResult.weightsVersion,
+        segmentAnalysis: segmentAnalysis,
         llmAnalysis: llmResult,
-        method: 'ensemble',
+        chunks: chunks,
+        selfConsistency: llmResult.selfConsistency || null,
+        method: ensembleResult.method,
         analysisTime: totalTime,
         llmResponseTime: llmTime,
         statisticalTime: statisticalTime,
@@ -206,24 +228,184 @@ Respond with ONLY a JSON object in this exact format:
       };
 
     } catch (error) {
+      if (error.blocked) {
+        console.warn('🚫 Gemini withheld its verdict:', error.blocked.reason);
+        return this.blockedResult(text, modelName, error.blocked, analysisStartTime);
+      }
       console.error('Google API analysis failed:', error);
       throw error;
     }
   }
 
   /**
-   * Parse Google API response and validate format
+   * Result for text Gemini would not judge: the statistical verdict, marked
+   * with resultType 'blocked' and the reason so the overlay can explain it
    */
-  parseGoogleResponse(responseText) {
-    try {
-      // Clean the response - remove markdown code blocks if present
-      let cleanedResponse = responseText.trim();
-      const jsonMatch = cleanedResponse.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[1];
+  blockedResult(text, modelName, block, analysisStartTime) {
+    return {
+      ...this.statisticalAnalyzer.analyzeText(text),
+      resultType: 'blocked',
+      blocked: block,
+      analysisTime: Date.now() - analysisStartTime,
+      modelName: modelName,
+      source: 'google'
+    };
+  }
+
+  /**
+   * Ask Gemini for a verdict on one piece of text, sampling it samples times
+   * at SAMPLING_TEMPERATURE when samples is above 1
+   */
+  async requestAnalysis(text, modelName, customInstructions = '', { onProgress = null, signal = null, samples = 1, promptTemplate = DEFAULT_TEMPLATE_ID } = {}) {
+    const sampleCount = normalizeSampleCount(samples);
+    if (sampleCount === 1) {
+      return this.generateAnalysis(text, modelName, customInstructions, { onProgress, signal, promptTemplate });
+    }
+
+    return sampleAnalyses(sampleCount, sampleIndex => this.generateAnalysis(text, modelName, customInstructions, {
+      signal,
+      promptTemplate,
+      temperature: SAMPLING_TEMPERATURE,
+      topP: SAMPLING_TOP_P,
+      onProgress: onProgress && (progress => onProgress({ ...progress, sampleIndex, sampleCount }))
+    }));
+  }
+
+  /**
+   * One Gemini verdict. With onProgress the reply is streamed over
+   * server-sent events; signal aborts the request.
+   */
+  async generateAnalysis(text, modelName, customInstructions = '', { onProgress = null, signal = null, temperature = 0.1, topP = 0.1, promptTemplate = DEFAULT_TEMPLATE_ID } = {}) {
+    const prompt = promptTemplates.render(promptTemplate, text, customInstructions);
+    await this.quota.checkBudget(estimateTokens(prompt));
+
+    const requestBody = {
+      contents: [{
+        parts: [{ text: prompt }]
+      }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens: 1000,
+        topP,
+        topK: 16,
+        responseMimeType: 'application/json',
+        responseSchema: RESPONSE_SCHEMA
       }
+    };
+
+    const stream = typeof onProgress === 'function';
+    const endpoint = stream
+      ? `${this.baseUrl}/models/${modelName}:streamGenerateContent?alt=sse`
+      : `${this.baseUrl}/models/${modelName}:generateContent`;
+
+    const response = await this.sendRequest(endpoint, requestBody, modelName, signal);
+
+    let responseText;
+    let usageMetadata;
+    let block;
+    if (stream && response.ok) {
+      ({ responseText, usageMetadata, block } = await this.readResponseStream(response, onProgress));
+    } else {
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || `Google API Error: ${response.status}`);
+      }
+
+      responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      usageMetadata = data.usageMetadata;
+      block = findBlock(data);
+    }
 
-      const parsed = JSON.parse(cleanedResponse);
+    // Counted even when the reply turns out empty: the request was billed
+    await this.quota.recordUsage(modelName, usageMetadata || {
+      promptTokenCount: estimateTokens(prompt),
+      candidatesTokenCount: estimateTokens(responseText || '')
+    });
+
+    if (block) {
+      const error = new Error(block.explanation);
+      error.blocked = block;
+      throw error;
+    }
+    
+    if (!responseText) {
+      throw new Error('No response text from Google API');
+    }
+
+    console.log('🤖 Google API RAW RESPONSE:');
+    console.log('==================');
+    console.log(responseText);
+    console.log('==================');
+
+    return { ...this.parseGoogleResponse(responseText), rawResponse: responseText };
+  }
+
+  /**
+   * POST a generate request once the rate limiter allows it. A 429 is
+   * retried after the delay Gemini asks for, up to MAX_RATE_LIMIT_RETRIES times.
+   */
+  async sendRequest(endpoint, requestBody, modelName, signal) {
+    for (let attempt = 0; ; attempt++) {
+      await this.quota.acquire(signal);
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        signal,
+        body: JSON.stringify(requestBody)
+      });
+      if (response.status !== 429) {
+        return response;
+      }
+
+      const data = await response.json().catch(() => ({}));
+      await this.quota.recordRateLimit(modelName);
+      this.quota.drain();
+
+      if (attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw new Error(`Gemini rate limit reached for ${modelName}${data.error?.message ? ` (${data.error.message})` : ''}. Lower the requests per minute in settings or try again later.`);
+      }
+
+      const delay = backoffDelay(attempt, response, data);
+      console.warn(`⏳ Gemini returned 429, retry ${attempt + 1}/${MAX_RATE_LIMIT_RETRIES} in ${Math.round(delay / 1000)}s`);
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Collect a streamed generateContent reply, reporting progress per event.
+   * Token counts and the finish reason come with the last event.
+   */
+  async readResponseStream(response, onProgress) {
+    let responseText = '';
+    let usageMetadata;
+    let block = null;
+
+    await readSseStream(response, event => {
+      responseText += event.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      usageMetadata = event.usageMetadata || usageMetadata;
+      block = block || findBlock(event);
+      onProgress({
+        tokens: event.usageMetadata?.candidatesTokenCount || estimateTokens(responseText),
+        reasoning: extractPartialReasoning(responseText),
+        done: !!event.candidates?.[0]?.finishReason
+      });
+    });
+
+    return { responseText, usageMetadata, block };
+  }
+
+  /**
+   * Parse Google API response and validate format. The reply is JSON
+   * constrained by RESPONSE_SCHEMA, so it is parsed as is.
+   */
+  parseGoogleResponse(responseText) {
+    try {
+      const parsed = JSON.parse(responseText);
       
       // Validate required fields
       const likelihood = Number(parsed.likelihood);
@@ -273,7 +455,7 @@ Respond with ONLY a JSON object in this exact format:
 }
 
 // Export for use in extension
-/* global module, window */
+/* global module */
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GoogleClient;
 } else if (typeof window !== 'undefined') {
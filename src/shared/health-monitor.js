@@ -0,0 +1,115 @@
+/**
+ * Ollama Health Monitor
+ * Checks the Ollama server in the background and caches the result, so
+ * analyses don't pay for a connection test before every request
+ */
+
+// A cached status older than this is checked again before it is trusted
+const DEFAULT_MAX_AGE = 2 * 60 * 1000;
+
+export class OllamaHealthMonitor {
+  constructor(client) {
+    this.client = client;
+    this.status = null;
+    this.pendingCheck = null;
+  }
+
+  /**
+   * Check the server and which models it has loaded. model, when given, is
+   * the one whose residency is reported as modelLoaded.
+   */
+  async check(model = null) {
+    // Callers arriving during a check share its result
+    if (this.pendingCheck) {
+      return this.pendingCheck;
+    }
+
+    this.pendingCheck = this.runCheck(model).finally(() => {
+      this.pendingCheck = null;
+    });
+    return this.pendingCheck;
+  }
+
+  async runCheck(model) {
+    const startTime = Date.now();
+    const connectionTest = await this.client.testConnection();
+    const latency = Date.now() - startTime;
+
+    let loadedModels = [];
+    if (connectionTest.success) {
+      try {
+        loadedModels = await this.client.getRunningModels();
+      } catch (error) {
+        console.warn('Could not read loaded Ollama models:', error.message);
+      }
+    }
+
+    const wasHealthy = this.status ? this.status.healthy : true;
+    this.status = {
+      healthy: connectionTest.success,
+      version: connectionTest.version || null,
+      error: connectionTest.success ? null : connectionTest.error,
+      latency,
+      loadedModels,
+      model,
+      modelLoaded: model ? OllamaHealthMonitor.isLoaded(loadedModels, model) : null,
+      checkedAt: Date.now()
+    };
+
+    // Checks run on every alarm, so only report Ollama going down
+    if (wasHealthy && !this.status.healthy) {
+      console.warn('🩺 Ollama unreachable:', this.status.error);
+    }
+    return this.status;
+  }
+
+  /**
+   * Ollama reports "llama3:latest" for a model selected as "llama3"
+   */
+  static isLoaded(loadedModels, model) {
+    const name = model.includes(':') ? model : `${model}:latest`;
+    return loadedModels.some(loaded => loaded.name === model || loaded.name === name);
+  }
+
+  /**
+   * Cached status, or null when there is none younger than maxAge
+   */
+  getStatus(maxAge = DEFAULT_MAX_AGE) {
+    if (!this.status || Date.now() - this.status.checkedAt > maxAge) {
+      return null;
+    }
+    return this.status;
+  }
+
+  /**
+   * Cached status when fresh, a new check otherwise
+   */
+  async getFreshStatus(model = null, maxAge = DEFAULT_MAX_AGE) {
+    return this.getStatus(maxAge) || this.check(model);
+  }
+
+  /**
+   * Forget the cached status, e.g. after a request to the server failed
+   */
+  invalidate() {
+    this.status = null;
+  }
+
+  /**
+   * Load model ahead of the first analysis unless it is already loaded
+   */
+  async prewarm(model, keepAlive) {
+    const status = this.status;
+    if (status && status.model === model && status.modelLoaded) {
+      return { model, keepAlive, alreadyLoaded: true };
+    }
+
+    const result = await this.client.prewarmModel(model, keepAlive);
+    if (this.status && this.status.model === model) {
+      this.status = { ...this.status, modelLoaded: true };
+    }
+    return { ...result, alreadyLoaded: false };
+  }
+}
+
+export default OllamaHealthMonitor;
@@ -0,0 +1,67 @@
+/**
+ * Multi-Model Voting
+ * Combines the verdicts of several LLMs on the same text and measures how
+ * much they agree
+ */
+
+// Models taking part in one vote, the selected model included
+export const MAX_VOTING_MODELS = 3;
+
+/**
+ * A vote from one model's analysis result
+ */
+export function createVote(modelId, analysis, duration = null) {
+  const llm = analysis.llmAnalysis || analysis;
+  return {
+    model: modelId,
+    success: true,
+    likelihood: Math.round(llm.likelihood),
+    confidence: Math.round(llm.confidence),
+    reasoning: llm.reasoning || '',
+    duration,
+    error: null
+  };
+}
+
+/**
+ * Combine votes into a consensus. Likelihood is the confidence-weighted mean;
+ * confidence is the mean confidence scaled down when models disagree.
+ */
+export function combineVotes(votes) {
+  const counted = votes.filter(vote => vote.success);
+  if (counted.length === 0) {
+    return { modelCount: 0, votes };
+  }
+
+  const weightSum = counted.reduce((sum, vote) => sum + Math.max(vote.confidence, 1), 0);
+  const likelihood = counted.reduce((sum, vote) => sum + vote.likelihood * Math.max(vote.confidence, 1), 0) / weightSum;
+  const meanConfidence = counted.reduce((sum, vote) => sum + vote.confidence, 0) / counted.length;
+
+  const aiVotes = counted.filter(vote => vote.likelihood >= 50).length;
+  const humanVotes = counted.length - aiVotes;
+  const majority = Math.max(aiVotes, humanVotes);
+  const agreement = majority / counted.length * 100;
+
+  const likelihoods = counted.map(vote => vote.likelihood);
+  const mean = likelihoods.reduce((sum, value) => sum + value, 0) / likelihoods.length;
+  const variance = likelihoods.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / likelihoods.length;
+
+  let verdict = 'split';
+  if (aiVotes > humanVotes) verdict = 'ai';
+  if (humanVotes > aiVotes) verdict = 'human';
+
+  return {
+    modelCount: counted.length,
+    likelihood: Math.round(likelihood),
+    // Unanimous votes keep the full confidence; an even split keeps three quarters
+    confidence: Math.round(meanConfidence * (0.5 + agreement / 200)),
+    agreement: Math.round(agreement),
+    disagreement: Math.round(100 - agreement),
+    spread: Math.max(...likelihoods) - Math.min(...likelihoods),
+    standardDeviation: Math.round(Math.sqrt(variance) * 10) / 10,
+    verdict,
+    votes
+  };
+}
+
+export default combineVotes;
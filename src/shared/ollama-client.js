@@ -3,15 +3,51 @@
  */
 
 import StatisticalAnalyzer from './statistical-analyzer.js';
+import { analyzeInChunks } from './text-chunker.js';
+import { readNdjsonStream, extractPartialReasoning } from './stream-reader.js';
+import { sampleAnalyses, normalizeSampleCount, SAMPLING_TEMPERATURE } from './self-consistency.js';
+import promptTemplates, { DEFAULT_TEMPLATE_ID } from './prompt-templates.js';
 
 const OLLAMA_BASE_URL = 'http://localhost:11434';
 const DEFAULT_MODEL = 'gemma3n:e4b';
+// First Ollama release that accepts a JSON schema in the `format` field
+const STRUCTURED_OUTPUT_MIN_VERSION = [0, 5, 0];
+
+// Shape of the analysis reply, sent as the `format` of /api/generate
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    likelihood: { type: 'integer', minimum: 0, maximum: 100 },
+    confidence: { type: 'integer', minimum: 0, maximum: 100 },
+    reasoning: { type: 'string' },
+    key_indicators: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['likelihood', 'confidence', 'reasoning', 'key_indicators']
+};
+
+/**
+ * Compare a version string such as "0.5.7" against [major, minor, patch]
+ */
+function isVersionAtLeast(version, minimum) {
+  const parts = String(version).split(/[.-]/).map(part => parseInt(part, 10));
+  for (let i = 0; i < minimum.length; i++) {
+    const part = Number.isNaN(parts[i]) || parts[i] === undefined ? 0 : parts[i];
+    if (part !== minimum[i]) {
+      return part > minimum[i];
+    }
+  }
+  return true;
+}
 
 export class OllamaClient {
   constructor(model = DEFAULT_MODEL) {
     this.model = model;
     this.baseUrl = OLLAMA_BASE_URL;
     this.statisticalAnalyzer = new StatisticalAnalyzer();
+    // null until the server version has been checked
+    this.structuredOutputSupport = null;
+    // How long Ollama keeps the model loaded after a request; null uses the server default
+    this.keepAlive = null;
   }
 
   /**
@@ -40,9 +76,14 @@ export class OllamaClient {
   }
 
   /**
-   * Analyze text for AI generation likelihood using ensemble approach
+   * Analyze text for AI generation likelihood using ensemble approach, or the
+   * LLM verdict alone when method is 'llm-only'. Long texts are analyzed in
+   * chunks of options.chunkTokenBudget tokens. options.onProgress, when given,
+   * streams the reply and receives { chunkIndex, chunkCount, tokens, reasoning }.
+   * options.signal aborts the LLM requests. options.samples above 1 turns on
+   * self-consistency sampling. options.promptTemplate is the prompt template id.
    */
-  async analyzeText(text, customInstructions = '') {
+  async analyzeText(text, customInstructions = '', method = 'ensemble', options = {}) {
     if (!text || text.trim().length === 0) {
       throw new Error('Text cannot be empty');
     }
@@ -52,29 +93,51 @@ export class OllamaClient {
     // Perform statistical analysis first
     console.log('Running statistical analysis...');
     const statisticalStats = this.statisticalAnalyzer.analyze(text);
+    const segmentAnalysis = this.statisticalAnalyzer.analyzeSegments(text);
 
     // Get LLM analysis with timing
     console.log('Running LLM analysis...');
     const llmStartTime = Date.now();
-    const llmAnalysis = await this.getLLMAnalysis(text, customInstructions);
+    const { llmAnalysis, chunks } = await analyzeInChunks(
+      text,
+      options.chunkTokenBudget,
+      (chunkText, chunk, chunkCount) => this.getLLMAnalysis(chunkText, customInstructions, {
+        signal: options.signal,
+        samples: options.samples,
+        promptTemplate: options.promptTemplate,
+        onProgress: options.onProgress && (progress => options.onProgress({ ...progress, chunkIndex: chunk.index, chunkCount }))
+      })
+    );
     const llmEndTime = Date.now();
 
     // Combine using ensemble scoring
     const ensembleResult = this.statisticalAnalyzer.calculateEnsembleScore(
       statisticalStats, 
-      llmAnalysis
+      llmAnalysis,
+      method
     );
 
     const totalTime = Date.now() - startTime;
 
     return {
       likelihood: ensembleResult.likelihood,
+      rawLikelihood: ensembleResult.rawLikelihood,
+      calibratedLikelihood: ensembleResult.calibratedLikelihood,
+      calibrationMethod: ensembleResult.calibrationMethod,
       confidence: ensembleResult.confidence,
-      reasoning: this.generateDetailedReasoning(llmAnalysis, statisticalStats, ensembleResult),
+      reasoning: ensembleResult.method === 'llm-only'
+        ? llmAnalysis.reasoning
+        : this.generateDetailedReasoning(llmAnalysis, statisticalStats, ensembleResult),
       rawResponse: llmAnalysis.rawResponse,
       statisticalBreakdown: ensembleResult.breakdown,
+      statisticalScore: ensembleResult.statisticalScore,
+      weightsVersion: ensembleResult.weightsVersion,
+      segmentAnalysis: segmentAnalysis,
       llmAnalysis: llmAnalysis,
-      method: 'ensemble',
+      chunks: chunks,
+      parseMethod: llmAnalysis.parseMethod,
+      selfConsistency: llmAnalysis.selfConsistency || null,
+      method: ensembleResult.method,
       // Enhanced timing and model info
       analysisTime: totalTime,
       llmResponseTime: llmEndTime - llmStartTime,
@@ -85,69 +148,52 @@ export class OllamaClient {
   }
 
   /**
-   * Get LLM analysis from Ollama
+   * Build the detection prompt shared by every local chat backend from the
+   * prompt template promptTemplate
    */
-  async getLLMAnalysis(text, customInstructions = '') {
-    let prompt = `You are an expert AI content detector. Analyze the following text to determine if it was written by AI or a human.
-
-ANALYSIS CRITERIA:
-1. **Linguistic Patterns**: Look for AI-typical phrases like "Furthermore," "Moreover," "It's important to note," "In conclusion"
-2. **Writing Style**: Check for overly formal tone, lack of personal voice, generic expressions
-3. **Content Flow**: Examine if transitions are too smooth/formulaic vs. natural human irregularities  
-4. **Vocabulary**: Assess if word choice seems diverse/natural vs. repetitive/formulaic
-5. **Sentence Structure**: Evaluate if sentences are too uniform vs. natural human variation
-6. **Specificity**: Check for vague generalities vs. concrete details/personal insights
-7. **Imperfections**: Look for natural human quirks, typos, or conversational elements`;
-
-    // Add custom instructions if provided
-    if (customInstructions && customInstructions.trim()) {
-      prompt += `\n\nADDITIONAL INSTRUCTIONS:\n${customInstructions.trim()}`;
-    }
-
-    prompt += `\n\nTEXT TO ANALYZE:
-"${text.substring(0, 2000)}" ${text.length > 2000 ? '...[truncated]' : ''}
-
-SCORING GUIDE:
-- 0-30: Strong human indicators (typos, informal language, personal opinions, conversational style)
-- 31-70: Mixed signals or uncertain
-- 71-100: Strong AI indicators (formal tone, generic phrases, perfect grammar, AI-typical patterns)
-
-RESPOND WITH VALID JSON ONLY (no markdown, no explanation):
-{
-  "likelihood": [0-100 integer],
-  "confidence": [0-100 integer],
-  "reasoning": "Brief explanation that matches the likelihood score",
-  "key_indicators": ["item1", "item2", "item3"]
-}
+  buildAnalysisPrompt(text, customInstructions = '', promptTemplate = DEFAULT_TEMPLATE_ID) {
+    return promptTemplates.render(promptTemplate, text, customInstructions);
+  }
 
-IMPORTANT: 
-- Return ONLY the JSON object, no other text
-- Use integer values for likelihood and confidence
-- Keep reasoning under 200 characters
-- Make sure reasoning MATCHES the likelihood score (high score = AI indicators, low score = human indicators)
-- Be especially careful of false positives - focus on distinctly AI-like patterns`;
+  /**
+   * Get LLM analysis. With samples above 1 the model is asked samples times at
+   * SAMPLING_TEMPERATURE and confidence comes from the spread of the answers;
+   * progress then also carries { sampleIndex, sampleCount }.
+   */
+  async getLLMAnalysis(text, customInstructions = '', { onProgress = null, signal = null, samples = 1, promptTemplate = DEFAULT_TEMPLATE_ID } = {}) {
+    const sampleCount = normalizeSampleCount(samples);
+    if (sampleCount === 1) {
+      return this.generateAnalysis(text, customInstructions, { onProgress, signal, promptTemplate });
+    }
+
+    return sampleAnalyses(sampleCount, sampleIndex => this.generateAnalysis(text, customInstructions, {
+      signal,
+      promptTemplate,
+      temperature: SAMPLING_TEMPERATURE,
+      onProgress: onProgress && (progress => onProgress({ ...progress, sampleIndex, sampleCount }))
+    }));
+  }
+
+  /**
+   * Get one verdict from Ollama. With onProgress the reply is streamed and
+   * onProgress receives { tokens, reasoning } as tokens arrive; signal aborts
+   * the request.
+   */
+  async generateAnalysis(text, customInstructions = '', { onProgress = null, signal = null, temperature = 0.1, promptTemplate = DEFAULT_TEMPLATE_ID } = {}) {
+    const prompt = this.buildAnalysisPrompt(text, customInstructions, promptTemplate);
+    const stream = typeof onProgress === 'function';
 
     try {
-      console.log('Making Ollama API request to:', `${this.baseUrl}/api/generate`);
-      
-      const response = await fetch(`${this.baseUrl}/api/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          model: this.model,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.1, // Lower temperature for more consistent analysis
-            top_p: 0.9,
-            repeat_penalty: 1.1
-          }
-        }),
-      });
+      let structured = await this.supportsStructuredOutputs();
+      let response = await this.requestGeneration(prompt, structured, stream, signal, temperature);
+
+      if (structured && response.status === 400) {
+        // Servers that predate structured outputs reject a schema in `format`
+        console.warn('⚠️ Ollama rejected the JSON schema format, retrying with legacy parsing');
+        this.structuredOutputSupport = false;
+        structured = false;
+        response = await this.requestGeneration(prompt, false, stream, signal, temperature);
+      }
 
       console.log('Ollama API response status:', response.status, response.statusText);
 
@@ -155,23 +201,34 @@ IMPORTANT:
         if (response.status === 403) {
           throw new Error('Ollama server is denying access. Check if Ollama allows external connections.');
         } else if (response.status === 404) {
-          throw new Error(`Model "${this.model}" not found. Try running: ollama pull ${this.model}`);
+          // missingModel lets the UI offer a download instead of a terminal command
+          const notFound = new Error(`Model "${this.model}" is not installed. Download it, or run: ollama pull ${this.model}`);
+          notFound.missingModel = this.model;
+          throw notFound;
         } else {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
       }
 
-      const data = await response.json();
-      console.log('Ollama API response data:', data);
+      let responseText;
+      if (stream) {
+        responseText = await this.readGenerationStream(response, onProgress);
+      } else {
+        const data = await response.json();
+        console.log('Ollama API response data:', data);
+        responseText = data.response;
+      }
       
       // Log the raw LLM response for debugging
       console.log('🤖 RAW LLM OUTPUT:');
       console.log('==================');
-      console.log(data.response);
+      console.log(responseText);
       console.log('==================');
-      console.log('Length:', data.response?.length, 'characters');
+      console.log('Length:', responseText?.length, 'characters');
       
-      return this.parseAnalysisResponse(data.response);
+      return structured
+        ? this.parseStructuredResponse(responseText)
+        : this.parseAnalysisResponse(responseText);
     } catch (error) {
       console.error('Ollama analysis error:', error);
       
@@ -179,12 +236,133 @@ IMPORTANT:
         throw new Error('Cannot connect to Ollama. Make sure Ollama is running with: ollama serve');
       }
       
-      throw new Error(`Ollama analysis failed: ${error.message}`);
+      const failure = new Error(`Ollama analysis failed: ${error.message}`);
+      failure.missingModel = error.missingModel;
+      throw failure;
     }
   }
 
   /**
-   * Parse AI model response and extract analysis data with multiple strategies
+   * Collect a streamed /api/generate reply, reporting progress per token
+   */
+  async readGenerationStream(response, onProgress) {
+    let responseText = '';
+    let tokens = 0;
+
+    await readNdjsonStream(response, message => {
+      if (message.error) {
+        throw new Error(message.error);
+      }
+      responseText += message.response || '';
+      // Each streamed message carries one token; the final one has the exact count
+      tokens = message.done && message.eval_count ? message.eval_count : tokens + 1;
+      onProgress({ tokens, reasoning: extractPartialReasoning(responseText), done: !!message.done });
+    });
+
+    return responseText;
+  }
+
+  /**
+   * POST to /api/generate, constraining the reply to ANALYSIS_SCHEMA when structured
+   */
+  async requestGeneration(prompt, structured, stream = false, signal = null, temperature = 0.1) {
+    console.log('Making Ollama API request to:', `${this.baseUrl}/api/generate`, structured ? '(structured output)' : '');
+
+    return fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      mode: 'cors',
+      signal,
+      body: JSON.stringify({
+        model: this.model,
+        prompt: prompt,
+        stream: stream,
+        ...(structured ? { format: ANALYSIS_SCHEMA } : {}),
+        ...(this.keepAlive ? { keep_alive: this.keepAlive } : {}),
+        options: {
+          temperature, // Low by default for more consistent analysis
+          top_p: 0.9,
+          repeat_penalty: 1.1
+        }
+      }),
+    });
+  }
+
+  /**
+   * Whether the server accepts a JSON schema as `format`. Unknown versions are
+   * tried optimistically; a 400 reply turns support off.
+   */
+  async supportsStructuredOutputs() {
+    if (this.structuredOutputSupport === null) {
+      const version = await this.getOllamaVersion();
+      this.structuredOutputSupport = version === 'unknown' || isVersionAtLeast(version, STRUCTURED_OUTPUT_MIN_VERSION);
+    }
+    return this.structuredOutputSupport;
+  }
+
+  /**
+   * Parse a reply produced under ANALYSIS_SCHEMA. Replies that still fail
+   * validation go through the legacy strategies.
+   */
+  parseStructuredResponse(response) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(response);
+    } catch {
+      // Reported as a validation error below
+    }
+
+    const errors = parsed === null ? ['reply is not valid JSON'] : this.validateAnalysisSchema(parsed);
+    if (errors.length === 0) {
+      const result = this.formatParseResult(parsed, response);
+      if (result) {
+        return { ...result, parseMethod: 'structured' };
+      }
+      errors.push('likelihood or confidence is not a number');
+    }
+
+    console.warn('⚠️ Structured output failed schema validation:', errors.join('; '));
+    return this.parseAnalysisResponse(response);
+  }
+
+  /**
+   * Check a parsed reply against ANALYSIS_SCHEMA. Returns a list of problems.
+   */
+  validateAnalysisSchema(parsed, schema = ANALYSIS_SCHEMA) {
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      return ['reply is not a JSON object'];
+    }
+
+    const errors = schema.required
+      .filter(key => !(key in parsed))
+      .map(key => `missing ${key}`);
+
+    Object.entries(schema.properties).forEach(([key, rule]) => {
+      if (!(key in parsed)) return;
+      const value = parsed[key];
+
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${key} must be an integer`);
+      } else if (rule.type === 'string' && typeof value !== 'string') {
+        errors.push(`${key} must be a string`);
+      } else if (rule.type === 'array' && (!Array.isArray(value) || value.some(item => typeof item !== rule.items.type))) {
+        errors.push(`${key} must be an array of ${rule.items.type}s`);
+      }
+
+      if (typeof value === 'number' && (value < rule.minimum || value > rule.maximum)) {
+        errors.push(`${key} must be between ${rule.minimum} and ${rule.maximum}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Parse a free-form model reply with multiple strategies. Used for servers
+   * without structured output support; records the strategy as parseMethod.
    */
   parseAnalysisResponse(response) {
     console.log('🔍 PARSING LLM RESPONSE');
@@ -197,7 +375,7 @@ IMPORTANT:
     const result1 = this.tryDirectJSONParse(response);
     if (result1) {
       console.log('✅ Successfully parsed with direct JSON strategy');
-      return result1;
+      return { ...result1, parseMethod: 'direct-json' };
     }
     console.log('❌ Direct JSON parsing failed');
 
@@ -206,7 +384,7 @@ IMPORTANT:
     const result2 = this.tryMarkdownJSONParse(response);
     if (result2) {
       console.log('✅ Successfully parsed with markdown JSON strategy');
-      return result2;
+      return { ...result2, parseMethod: 'markdown-json' };
     }
     console.log('❌ Markdown JSON parsing failed');
 
@@ -215,7 +393,7 @@ IMPORTANT:
     const result3 = this.tryRegexJSONParse(response);
     if (result3) {
       console.log('✅ Successfully parsed with regex JSON strategy');
-      return result3;
+      return { ...result3, parseMethod: 'regex-json' };
     }
     console.log('❌ Regex JSON parsing failed');
 
@@ -224,13 +402,13 @@ IMPORTANT:
     const result4 = this.tryLineByLineParse(response);
     if (result4) {
       console.log('✅ Successfully parsed with line-by-line strategy');
-      return result4;
+      return { ...result4, parseMethod: 'line-by-line' };
     }
     console.log('❌ Line-by-line parsing failed');
 
     // Fallback: keyword-based analysis
     console.warn('🚨 All JSON parsing strategies failed, using fallback analysis');
-    return this.fallbackAnalysis(response);
+    return { ...this.fallbackAnalysis(response), parseMethod: 'fallback' };
   }
 
   /**
@@ -257,52 +435,52 @@ IMPORTANT:
         const parsed = JSON.parse(codeBlockMatch[1]);
         return this.formatParseResult(parsed, response);
       }
-         } catch {
-       // Continue to next strategy
-     }
-     return null;
-   }
+    } catch {
+      // Continue to next strategy
+    }
+    return null;
+  }
 
-   /**
+  /**
     * Strategy 3: Regex-based JSON extraction
     */
-   tryRegexJSONParse(response) {
-     try {
-       // Look for the first complete JSON object
-       const jsonMatch = response.match(/\{[\s\S]*?\}/);
-       if (jsonMatch) {
-         const parsed = JSON.parse(jsonMatch[0]);
-         return this.formatParseResult(parsed, response);
-       }
-     } catch {
-       // Continue to next strategy
-     }
-     return null;
-   }
-
-   /**
+  tryRegexJSONParse(response) {
+    try {
+      // Look for the first complete JSON object
+      const jsonMatch = response.match(/\{[\s\S]*?\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+        return this.formatParseResult(parsed, response);
+      }
+    } catch {
+      // Continue to next strategy
+    }
+    return null;
+  }
+
+  /**
     * Strategy 4: Line-by-line parsing for malformed JSON
     */
-   tryLineByLineParse(response) {
-     try {
-       const lines = response.split('\n');
-       let likelihood = null;
-       let confidence = null;
-       let reasoning = '';
-       let keyIndicators = [];
-
-       for (const line of lines) {
-         // Extract likelihood
-         const likelihoodMatch = line.match(/["']?likelihood["']?\s*:\s*(\d+)/i);
-         if (likelihoodMatch) likelihood = parseInt(likelihoodMatch[1]);
-
-         // Extract confidence
-         const confidenceMatch = line.match(/["']?confidence["']?\s*:\s*(\d+)/i);
-         if (confidenceMatch) confidence = parseInt(confidenceMatch[1]);
-
-         // Extract reasoning
-         const reasoningMatch = line.match(/["']?reasoning["']?\s*:\s*["']([^"']+)["']?/i);
-         if (reasoningMatch) reasoning = reasoningMatch[1];
+  tryLineByLineParse(response) {
+    try {
+      const lines = response.split('\n');
+      let likelihood = null;
+      let confidence = null;
+      let reasoning = '';
+      let keyIndicators = [];
+
+      for (const line of lines) {
+        // Extract likelihood
+        const likelihoodMatch = line.match(/["']?likelihood["']?\s*:\s*(\d+)/i);
+        if (likelihoodMatch) likelihood = parseInt(likelihoodMatch[1]);
+
+        // Extract confidence
+        const confidenceMatch = line.match(/["']?confidence["']?\s*:\s*(\d+)/i);
+        if (confidenceMatch) confidence = parseInt(confidenceMatch[1]);
+
+        // Extract reasoning
+        const reasoningMatch = line.match(/["']?reasoning["']?\s*:\s*["']([^"']+)["']?/i);
+        if (reasoningMatch) reasoning = reasoningMatch[1];
 
         // Extract key indicators (simplified)
         if (line.includes('key_indicators') || line.includes('indicators')) {
@@ -337,8 +515,9 @@ IMPORTANT:
   formatParseResult(parsed, rawResponse) {
     console.log('formatParseResult called with parsed:', parsed);
     
-    // Handle common typos and variations
-    let likelihood = parsed.likelihood || parsed.likelikhood;
+    // Handle common typos and variations; 0 is a valid score, so only a
+    // missing field falls back to the typo
+    let likelihood = parsed.likelihood ?? parsed.likelikhood;
     let confidence = parsed.confidence;
     
     // Handle arrays - extract first element if it's an array
@@ -427,19 +606,7 @@ IMPORTANT:
     }
 
     // Add key statistical indicators
-    const statIndicators = [];
-    if (statisticalStats.perplexityScore > 60) {
-      statIndicators.push('high perplexity (predictable patterns)');
-    }
-    if (statisticalStats.burstinessScore > 60) {
-      statIndicators.push('low sentence length variation');
-    }
-    if (statisticalStats.aiIndicatorScore > 30) {
-      statIndicators.push('AI-typical phrases detected');
-    }
-    if (statisticalStats.vocabularyDiversity > 60) {
-      statIndicators.push('repetitive vocabulary');
-    }
+    const statIndicators = this.statisticalAnalyzer.describeIndicators(statisticalStats);
 
     if (statIndicators.length > 0) {
       parts.push(`Statistical indicators: ${statIndicators.join(', ')}`);
@@ -480,6 +647,137 @@ IMPORTANT:
     }
   }
 
+  /**
+   * Download a model. onProgress receives { status, completed, total, percent }
+   * for every streamed update; percent is null while no layer size is known.
+   * signal aborts the download.
+   */
+  async pullModel(model, onProgress = null, signal = null) {
+    console.log('📥 Pulling Ollama model:', model);
+
+    const response = await fetch(`${this.baseUrl}/api/pull`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      mode: 'cors',
+      signal,
+      // Older servers read `name`, newer ones `model`
+      body: JSON.stringify({ model, name: model, stream: true })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download ${model}: HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    let status = null;
+    await readNdjsonStream(response, message => {
+      if (message.error) {
+        throw new Error(`Failed to download ${model}: ${message.error}`);
+      }
+      status = message.status;
+      if (onProgress) {
+        onProgress({
+          status: message.status,
+          completed: message.completed || 0,
+          total: message.total || 0,
+          percent: message.total ? Math.round((message.completed || 0) / message.total * 100) : null
+        });
+      }
+    });
+
+    if (status !== 'success') {
+      throw new Error(`Download of ${model} stopped before finishing (last status: ${status || 'none'})`);
+    }
+
+    console.log('✅ Pulled Ollama model:', model);
+    return { model, status };
+  }
+
+  /**
+   * Embed text with an embedding model such as nomic-embed-text
+   */
+  async getEmbedding(text, model, signal = null) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/embed`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        mode: 'cors',
+        signal,
+        body: JSON.stringify({ model, input: text })
+      });
+
+      if (!response.ok) {
+        if (response.status === 404) {
+          throw new Error(`Embedding model "${model}" not found. Try running: ollama pull ${model}`);
+        }
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (!Array.isArray(data.embeddings?.[0])) {
+        throw new Error('No embedding in response');
+      }
+      return data.embeddings[0];
+    } catch (error) {
+      throw new Error(`Failed to embed text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Models currently loaded into memory, from /api/ps
+   */
+  async getRunningModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/ps`, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json'
+        },
+        mode: 'cors'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.models || []).map(model => ({
+        name: model.name || model.model,
+        size: model.size || 0,
+        sizeVram: model.size_vram || 0,
+        expiresAt: model.expires_at || null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get running models: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a model into memory without generating anything. keepAlive is an
+   * Ollama duration such as '30m' for how long it stays loaded.
+   */
+  async prewarmModel(model, keepAlive = '30m') {
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      mode: 'cors',
+      // An empty prompt only loads the model
+      body: JSON.stringify({ model, prompt: '', keep_alive: keepAlive, stream: false })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${model}: HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    console.log('🔥 Pre-warmed Ollama model:', model, `(keep_alive ${keepAlive})`);
+    return { model, keepAlive };
+  }
+
   /**
    * Get Ollama version information
    */
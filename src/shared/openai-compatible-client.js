@@ -0,0 +1,133 @@
+/**
+ * OpenAI-Compatible API Client for local AI text analysis
+ * Talks to any server that speaks /v1/chat/completions and /v1/models
+ * (LM Studio, llama.cpp server, vLLM) and reuses the Ollama prompt,
+ * response parsing and ensemble scoring
+ */
+
+import OllamaClient from './ollama-client.js';
+import { DEFAULT_TEMPLATE_ID } from './prompt-templates.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:1234/v1';
+
+export class OpenAICompatibleClient extends OllamaClient {
+  constructor(baseUrl = DEFAULT_BASE_URL, apiKey = '') {
+    super('');
+    this.setConnection(baseUrl, apiKey);
+  }
+
+  /**
+   * Point the client at a server. The bearer token is optional; most local
+   * servers accept any request.
+   */
+  setConnection(baseUrl, apiKey = '') {
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Test connection by listing models; these servers have no version endpoint
+   */
+  async testConnection() {
+    try {
+      const models = await this.getModels();
+      return { success: true, version: `${models.length} models available` };
+    } catch (error) {
+      console.error('OpenAI-compatible connection test failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async analyzeText(text, customInstructions = '', method = 'ensemble', options = {}) {
+    const result = await super.analyzeText(text, customInstructions, method, options);
+    return { ...result, source: 'openai' };
+  }
+
+  /**
+   * Get one verdict from the chat completions endpoint
+   */
+  async generateAnalysis(text, customInstructions = '', { signal = null, temperature = 0.1, promptTemplate = DEFAULT_TEMPLATE_ID } = {}) {
+    const prompt = this.buildAnalysisPrompt(text, customInstructions, promptTemplate);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        mode: 'cors',
+        signal,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: false,
+          temperature,
+          top_p: 0.9
+        })
+      });
+
+      if (!response.ok) {
+        if (response.status === 401 || response.status === 403) {
+          throw new Error('Server rejected the request. Check the API key.');
+        } else if (response.status === 404) {
+          throw new Error(`Model "${this.model}" not found on ${this.baseUrl}`);
+        } else {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('No message content in chat completion response');
+      }
+
+      return this.parseAnalysisResponse(content);
+    } catch (error) {
+      console.error('OpenAI-compatible analysis error:', error);
+
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        throw new Error(`Cannot connect to OpenAI-compatible server at ${this.baseUrl}`);
+      }
+
+      throw new Error(`OpenAI-compatible analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get available models: [{ name }]
+   */
+  async getModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        mode: 'cors'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.data || []).map(model => ({ name: model.id, ownedBy: model.owned_by }));
+    } catch (error) {
+      throw new Error(`Failed to get models: ${error.message}`);
+    }
+  }
+
+  async getModelInfo(modelName = null) {
+    return { name: modelName || this.model, family: 'unknown', size: 'unknown', format: 'unknown' };
+  }
+}
+
+export default OpenAICompatibleClient;
@@ -0,0 +1,176 @@
+/**
+ * Probability Calibrator for AI Content Detector
+ * Maps raw ensemble scores to calibrated probabilities using Platt scaling
+ * or isotonic regression fit on user feedback
+ */
+
+import { FeedbackManager } from './feedback-manager.js';
+
+export class ProbabilityCalibrator {
+  constructor() {
+    this.storageKey = 'ai-detector-calibration';
+    this.minExamples = 20;
+    this.methods = ['platt', 'isotonic'];
+  }
+
+  /**
+   * Fit a calibration on stored feedback and make it active
+   */
+  async fitFromFeedback(method = 'platt') {
+    const feedbackManager = new FeedbackManager();
+    const records = await feedbackManager.getFeedbackRecords();
+    const calibration = this.fit(records, method);
+    await chrome.storage.local.set({ [this.storageKey]: calibration });
+    return calibration;
+  }
+
+  /**
+   * Fit a calibration on feedback records. Returns an unsaved calibration.
+   */
+  fit(records, method = 'platt') {
+    if (!this.methods.includes(method)) {
+      throw new Error(`Unknown calibration method: ${method}`);
+    }
+
+    const examples = records
+      .map(record => {
+        const label = FeedbackManager.getAILabel(record);
+        // Fit on the uncalibrated score so refitting does not stack calibrations
+        const raw = record.aiScoring?.rawLikelihood ?? record.aiScoring?.likelihood;
+        return label === null || typeof raw !== 'number' ? null : { score: raw / 100, label };
+      })
+      .filter(example => example !== null);
+
+    if (examples.length < this.minExamples) {
+      throw new Error(`Need at least ${this.minExamples} feedback records to fit a calibration (found ${examples.length})`);
+    }
+
+    const calibration = {
+      method,
+      fittedAt: Date.now(),
+      examples: examples.length,
+      ...(method === 'platt' ? this.fitPlatt(examples) : this.fitIsotonic(examples))
+    };
+
+    calibration.brierRaw = this.brierScore(examples, example => example.score);
+    calibration.brierCalibrated = this.brierScore(examples, example => this.calibrate(calibration, example.score * 100) / 100);
+
+    return calibration;
+  }
+
+  /**
+   * Platt scaling: p = 1 / (1 + exp(-(a * score + b))), fit by Newton's method
+   */
+  fitPlatt(examples) {
+    let a = 1;
+    let b = 0;
+    // Small L2 penalty keeps the fit finite when feedback is perfectly separable
+    const ridge = 1e-3;
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+      let gradA = ridge * a, gradB = ridge * b, hAA = ridge, hAB = 0, hBB = ridge;
+
+      examples.forEach(({ score, label }) => {
+        const p = 1 / (1 + Math.exp(-(a * score + b)));
+        const weight = p * (1 - p);
+        gradA += (p - label) * score;
+        gradB += p - label;
+        hAA += weight * score * score;
+        hAB += weight * score;
+        hBB += weight;
+      });
+
+      const determinant = hAA * hBB - hAB * hAB;
+      if (Math.abs(determinant) < 1e-12) break;
+
+      const stepA = (hBB * gradA - hAB * gradB) / determinant;
+      const stepB = (hAA * gradB - hAB * gradA) / determinant;
+      a -= stepA;
+      b -= stepB;
+
+      if (Math.abs(stepA) < 1e-6 && Math.abs(stepB) < 1e-6) break;
+    }
+
+    return { a, b };
+  }
+
+  /**
+   * Isotonic regression with pool-adjacent-violators. Stores one point per
+   * pooled block; scores in between are interpolated.
+   */
+  fitIsotonic(examples) {
+    const sorted = [...examples].sort((x, y) => x.score - y.score);
+    const blocks = [];
+
+    sorted.forEach(({ score, label }) => {
+      blocks.push({ scoreSum: score, labelSum: label, count: 1 });
+
+      // Merge backwards while the sequence is decreasing
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const previous = blocks[blocks.length - 2];
+        if (previous.labelSum / previous.count <= last.labelSum / last.count) break;
+
+        previous.scoreSum += last.scoreSum;
+        previous.labelSum += last.labelSum;
+        previous.count += last.count;
+        blocks.pop();
+      }
+    });
+
+    return {
+      points: blocks.map(block => ({
+        score: block.scoreSum / block.count,
+        probability: block.labelSum / block.count
+      }))
+    };
+  }
+
+  /**
+   * Map a raw 0-100 likelihood to a calibrated 0-100 probability
+   */
+  calibrate(calibration, rawLikelihood) {
+    const score = rawLikelihood / 100;
+    let probability;
+
+    if (calibration.method === 'platt') {
+      probability = 1 / (1 + Math.exp(-(calibration.a * score + calibration.b)));
+    } else {
+      const points = calibration.points;
+      if (score <= points[0].score) {
+        probability = points[0].probability;
+      } else if (score >= points[points.length - 1].score) {
+        probability = points[points.length - 1].probability;
+      } else {
+        const upper = points.findIndex(point => point.score >= score);
+        const low = points[upper - 1];
+        const high = points[upper];
+        const t = (score - low.score) / (high.score - low.score);
+        probability = low.probability + t * (high.probability - low.probability);
+      }
+    }
+
+    return Math.round(probability * 1000) / 10;
+  }
+
+  brierScore(examples, predict) {
+    const total = examples.reduce((sum, example) => sum + Math.pow(predict(example) - example.label, 2), 0);
+    return Math.round(total / examples.length * 10000) / 10000;
+  }
+
+  async getCalibration() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || null;
+    } catch (error) {
+      console.error('Failed to load calibration:', error);
+      return null;
+    }
+  }
+
+  async clearCalibration() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
+
+export default ProbabilityCalibrator;
@@ -0,0 +1,209 @@
+/**
+ * Prompt Templates
+ * Named, versioned detection prompts shared by every LLM backend, with an
+ * optional A/B experiment that sends part of the traffic to a second template
+ */
+
+import { delimitUntrustedText } from './prompt-guard.js';
+
+export const DEFAULT_TEMPLATE_ID = 'standard@1.1';
+
+// Retired template versions and their successors, so settings saved with an
+// old id keep the template they chose. 1.1 fences the text (prompt-guard).
+const REPLACED_TEMPLATES = {
+  'standard@1.0': 'standard@1.1',
+  'calibrated@1.0': 'calibrated@1.1'
+};
+
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'standard',
+    version: '1.1',
+    description: 'Detection criteria with a three-band scoring guide',
+    template: `You are an expert AI content detector. Analyze the following text to determine if it was written by AI or a human.
+
+ANALYSIS CRITERIA:
+1. **Linguistic Patterns**: Look for AI-typical phrases like "Furthermore," "Moreover," "It's important to note," "In conclusion"
+2. **Writing Style**: Check for overly formal tone, lack of personal voice, generic expressions
+3. **Content Flow**: Examine if transitions are too smooth/formulaic vs. natural human irregularities
+4. **Vocabulary**: Assess if word choice seems diverse/natural vs. repetitive/formulaic
+5. **Sentence Structure**: Evaluate if sentences are too uniform vs. natural human variation
+6. **Specificity**: Check for vague generalities vs. concrete details/personal insights
+7. **Imperfections**: Look for natural human quirks, typos, or conversational elements{{instructions}}
+
+TEXT TO ANALYZE:
+{{text}}
+
+SCORING GUIDE:
+- 0-30: Strong human indicators (typos, informal language, personal opinions, conversational style)
+- 31-70: Mixed signals or uncertain
+- 71-100: Strong AI indicators (formal tone, generic phrases, perfect grammar, AI-typical patterns)
+
+RESPOND WITH VALID JSON ONLY (no markdown, no explanation):
+{
+  "likelihood": [0-100 integer],
+  "confidence": [0-100 integer],
+  "reasoning": "Brief explanation that matches the likelihood score",
+  "key_indicators": ["item1", "item2", "item3"]
+}
+
+IMPORTANT:
+- Return ONLY the JSON object, no other text
+- Use integer values for likelihood and confidence
+- Keep reasoning under 200 characters
+- Make sure reasoning MATCHES the likelihood score (high score = AI indicators, low score = human indicators)
+- Be especially careful of false positives - focus on distinctly AI-like patterns`
+  },
+  {
+    name: 'calibrated',
+    version: '1.1',
+    description: 'Stresses that the score must match the reasoning, with a five-band scoring guide',
+    template: `You are an expert AI content detector. Analyze the following text to determine if it was written by AI or a human.
+
+IMPORTANT: Your likelihood score MUST match your reasoning. If you say it's likely human-written, the likelihood should be LOW (0-40). If you say it's likely AI-written, the likelihood should be HIGH (60-100).
+
+ANALYSIS CRITERIA:
+1. **Linguistic Patterns**: AI often uses phrases like "Furthermore," "Moreover," "It's important to note," "In conclusion"
+2. **Writing Style**: AI tends toward formal tone, lacks personal voice, uses generic expressions
+3. **Content Flow**: AI has overly smooth/formulaic transitions vs. natural human irregularities
+4. **Vocabulary**: AI may be repetitive/formulaic vs. diverse/natural human choice
+5. **Sentence Structure**: AI creates uniform sentences vs. natural human variation
+6. **Specificity**: AI uses vague generalities vs. concrete details/personal insights
+7. **Imperfections**: Humans have natural quirks, typos, conversational elements
+
+SCORING GUIDE:
+- 0-20: Almost certainly human-written
+- 21-40: Likely human-written
+- 41-60: Uncertain/mixed signals
+- 61-80: Likely AI-written
+- 81-100: Almost certainly AI-written{{instructions}}
+
+TEXT TO ANALYZE:
+{{text}}
+
+Respond with ONLY a JSON object in this exact format:
+{
+  "likelihood": 75,
+  "confidence": 85,
+  "reasoning": "Your detailed reasoning that MATCHES the likelihood score",
+  "key_indicators": ["Indicator 1", "Indicator 2", "Indicator 3"]
+}`
+  }
+];
+
+/**
+ * Replace every {{name}} in template with variables[name]
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Prompt template variable "${name}" has no value`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Stable 0-99 bucket for text, so the same text always gets the same variant
+ */
+export function trafficBucket(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) % 100;
+}
+
+export class PromptTemplateRegistry {
+  constructor(templates = BUILT_IN_TEMPLATES) {
+    this.templates = new Map();
+    templates.forEach(template => this.register(template));
+  }
+
+  static templateId(name, version) {
+    return `${name}@${version}`;
+  }
+
+  register({ name, version, description = '', template }) {
+    if (!name || !version) {
+      throw new Error('Prompt templates need a name and a version');
+    }
+    if (!template.includes('{{text}}')) {
+      throw new Error(`Prompt template ${name}@${version} has no {{text}} placeholder`);
+    }
+
+    const id = PromptTemplateRegistry.templateId(name, version);
+    this.templates.set(id, { id, name, version, description, template });
+    return this;
+  }
+
+  get(id) {
+    const template = this.templates.get(id);
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${id}`);
+    }
+    return template;
+  }
+
+  /**
+   * Template descriptions without their text, for the settings page.
+   * replaces lists the retired ids each template stands in for.
+   */
+  list() {
+    return [...this.templates.values()].map(({ id, name, version, description }) => ({
+      id,
+      name,
+      version,
+      description,
+      replaces: Object.keys(REPLACED_TEMPLATES).filter(retired => REPLACED_TEMPLATES[retired] === id)
+    }));
+  }
+
+  /**
+   * Pick the template for text. With settings.promptExperiment enabled,
+   * experiment.traffic percent of texts get the challenger (variant 'B') and
+   * the rest the selected template (variant 'A'). Retired ids map to their
+   * successors; unknown ids fall back to the default template.
+   */
+  assign(settings, text) {
+    const selected = this.currentId(settings.promptTemplate);
+    const control = this.templates.has(selected) ? selected : DEFAULT_TEMPLATE_ID;
+    const experiment = settings.promptExperiment || {};
+    const challenger = this.currentId(experiment.challenger);
+
+    if (!experiment.enabled || !this.templates.has(challenger) || challenger === control) {
+      return { ...this.describe(control), variant: null };
+    }
+
+    const useChallenger = trafficBucket(text) < (experiment.traffic ?? 50);
+    return {
+      ...this.describe(useChallenger ? challenger : control),
+      variant: useChallenger ? 'B' : 'A'
+    };
+  }
+
+  currentId(id) {
+    return REPLACED_TEMPLATES[id] || id;
+  }
+
+  describe(id) {
+    const { name, version } = this.get(id);
+    return { id, name, version };
+  }
+
+  /**
+   * The prompt for text under template id. The text is untrusted, so it goes
+   * in fenced by prompt-guard markers rather than as is.
+   */
+  render(id, text, customInstructions = '') {
+    const instructions = customInstructions && customInstructions.trim()
+      ? `\n\nADDITIONAL INSTRUCTIONS:\n${customInstructions.trim()}`
+      : '';
+    return renderTemplate(this.get(id).template, { text: delimitUntrustedText(text), instructions });
+  }
+}
+
+export const promptTemplates = new PromptTemplateRegistry();
+
+export default promptTemplates;
@@ -0,0 +1,76 @@
+/**
+ * Analysis Provider Interface
+ * Base class every analysis backend implements so the background service and
+ * settings page can discover and use it without provider-specific routing
+ */
+
+export class AnalysisProvider {
+  /**
+   * @param {Object} info - id (model id prefix), name, icon, local (runs on this machine)
+   *   and requiresModel (false for providers that take no model name)
+   */
+  constructor({ id, name, icon = '🤖', local = false, requiresModel = true }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.local = local;
+    this.requiresModel = requiresModel;
+  }
+
+  /**
+   * Plain description the settings page can render
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      icon: this.icon,
+      local: this.local,
+      requiresModel: this.requiresModel
+    };
+  }
+
+  /**
+   * Models this provider can run: [{ id, name }]
+   */
+  async listModels(_settings) {
+    return [];
+  }
+
+  /**
+   * Check that the provider is configured and reachable: { valid, error }
+   */
+  async validate(_settings) {
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Run an analysis. options holds model, settings, method, promptTemplate
+   * (the prompt template id for LLM providers), an optional onProgress
+   * callback for streamed replies and an AbortSignal that network requests
+   * must honour. Returns { analysis, selectedModel, serviceVersion,
+   * modelInfo } where analysis has the shared result shape (likelihood,
+   * confidence, reasoning, ...)
+   */
+  async analyze(_text, _options) {
+    throw new Error(`Provider ${this.id} does not implement analyze()`);
+  }
+
+  /**
+   * Current service status: { healthy, version, error }
+   */
+  async health(settings) {
+    const validation = await this.validate(settings);
+    return { healthy: validation.valid, version: null, error: validation.error };
+  }
+
+  /**
+   * Analyzer whose weights and calibration the background service keeps in
+   * step with the trained settings, or null when the provider scores nothing itself
+   */
+  get statisticalAnalyzer() {
+    return null;
+  }
+}
+
+export default AnalysisProvider;
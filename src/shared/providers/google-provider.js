@@ -0,0 +1,79 @@
+/**
+ * Google Gemini Analysis Provider
+ * Cloud models from the Gemini API, authenticated with the user's API key
+ */
+
+import AnalysisProvider from './analysis-provider.js';
+import GoogleClient from '../google-client.js';
+
+// The key may be stored but encrypted under a passphrase not entered yet
+function missingKeyMessage(settings) {
+  return settings.lockedSecrets?.includes('googleApiKey')
+    ? 'Google API key is locked. Enter your passphrase in the extension settings to unlock it.'
+    : 'Google API key not configured';
+}
+
+export class GoogleProvider extends AnalysisProvider {
+  constructor(client = new GoogleClient()) {
+    super({ id: 'google', name: 'Google Gemini', icon: '☁️' });
+    this.client = client;
+  }
+
+  get statisticalAnalyzer() {
+    return this.client.statisticalAnalyzer;
+  }
+
+  async listModels(settings = {}) {
+    if (!settings.googleApiKey) {
+      return [];
+    }
+    const models = await this.client.getAvailableModels(settings.googleApiKey);
+    return models.map(model => ({ id: model.name, name: model.displayName || model.name }));
+  }
+
+  async validate(settings = {}) {
+    if (!settings.googleApiKey) {
+      return { valid: false, error: missingKeyMessage(settings) };
+    }
+    try {
+      await this.client.validateApiKey(settings.googleApiKey);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Apply the rate limit and daily token budget from settings
+   */
+  configureQuota(settings = {}) {
+    this.client.quota.configure({
+      requestsPerMinute: settings.googleRequestsPerMinute,
+      dailyTokenBudget: settings.googleDailyTokenBudget
+    });
+  }
+
+  async analyze(text, { model, settings = {}, method = 'ensemble', promptTemplate, onProgress = null, signal = null }) {
+    if (!settings.googleApiKey) {
+      throw new Error(missingKeyMessage(settings));
+    }
+    this.client.setApiKey(settings.googleApiKey);
+    this.configureQuota(settings);
+
+    console.log('🤖 Using Google Gemini API for LLM analysis with model:', model);
+    return {
+      analysis: await this.client.analyzeText(text, model, settings.systemInstructions, method, {
+        chunkTokenBudget: settings.chunkTokenBudget,
+        samples: settings.selfConsistencySamples?.google,
+        promptTemplate,
+        onProgress,
+        signal
+      }),
+      selectedModel: model,
+      serviceVersion: 'Google Gemini API',
+      modelInfo: { name: model, source: 'google' }
+    };
+  }
+}
+
+export default GoogleProvider;
@@ -0,0 +1,20 @@
+/**
+ * Analysis providers available to the extension. Register new backends here;
+ * routing and the settings model list pick them up from the registry.
+ */
+
+import ProviderRegistry from './provider-registry.js';
+import OllamaProvider from './ollama-provider.js';
+import GoogleProvider from './google-provider.js';
+import OpenAICompatibleProvider from './openai-compatible-provider.js';
+import StatisticalProvider from './statistical-provider.js';
+
+export function createProviderRegistry() {
+  return new ProviderRegistry()
+    .register(new OllamaProvider())
+    .register(new GoogleProvider())
+    .register(new OpenAICompatibleProvider())
+    .register(new StatisticalProvider());
+}
+
+export { ProviderRegistry, OllamaProvider, GoogleProvider, OpenAICompatibleProvider, StatisticalProvider };
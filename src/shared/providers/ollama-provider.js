@@ -0,0 +1,83 @@
+/**
+ * Ollama Analysis Provider
+ * Local models served by Ollama
+ */
+
+import AnalysisProvider from './analysis-provider.js';
+import OllamaClient from '../ollama-client.js';
+import OllamaHealthMonitor from '../health-monitor.js';
+
+export class OllamaProvider extends AnalysisProvider {
+  constructor(client = new OllamaClient()) {
+    super({ id: 'ollama', name: 'Ollama (Local)', icon: '📍', local: true });
+    this.client = client;
+    // Analyses trust the monitor's cached status instead of testing the connection each time
+    this.healthMonitor = new OllamaHealthMonitor(client);
+  }
+
+  get statisticalAnalyzer() {
+    return this.client.statisticalAnalyzer;
+  }
+
+  async listModels() {
+    const models = await this.client.getModels();
+    return models.map(model => ({ id: model.name, name: model.name, size: model.size }));
+  }
+
+  async validate() {
+    const status = await this.healthMonitor.getFreshStatus();
+    return status.healthy
+      ? { valid: true, error: null }
+      : { valid: false, error: `Ollama not available: ${status.error}` };
+  }
+
+  async health() {
+    const status = await this.healthMonitor.check();
+    return {
+      healthy: status.healthy,
+      version: status.version,
+      error: status.error
+    };
+  }
+
+  async analyze(text, { model, settings = {}, method = 'ensemble', promptTemplate, onProgress = null, signal = null }) {
+    const validation = await this.validate();
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const serviceVersion = this.healthMonitor.status?.version || 'unknown';
+    const modelInfo = await this.client.getModelInfo(model);
+
+    // Update ollama client model for this request
+    this.client.setModel(model);
+    this.client.keepAlive = settings.ollamaKeepAlive || null;
+
+    console.log('🤖 Using Ollama for LLM analysis with model:', model);
+    let analysis;
+    try {
+      analysis = await this.client.analyzeText(text, settings.systemInstructions, method, {
+        chunkTokenBudget: settings.chunkTokenBudget,
+        samples: settings.selfConsistencySamples?.ollama,
+        promptTemplate,
+        onProgress,
+        signal
+      });
+    } catch (error) {
+      // The server may have gone away since the last health check
+      if (!signal?.aborted && !error.missingModel) {
+        this.healthMonitor.invalidate();
+      }
+      throw error;
+    }
+
+    return {
+      analysis,
+      selectedModel: model,
+      serviceVersion,
+      modelInfo
+    };
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,82 @@
+/**
+ * OpenAI-Compatible Analysis Provider
+ * Local servers such as LM Studio, llama.cpp server and vLLM, configured by
+ * base URL and an optional bearer token
+ */
+
+import AnalysisProvider from './analysis-provider.js';
+import OpenAICompatibleClient from '../openai-compatible-client.js';
+
+export class OpenAICompatibleProvider extends AnalysisProvider {
+  constructor(client = new OpenAICompatibleClient()) {
+    super({ id: 'openai', name: 'OpenAI-Compatible (Local)', icon: '🔌', local: true });
+    this.client = client;
+  }
+
+  get statisticalAnalyzer() {
+    return this.client.statisticalAnalyzer;
+  }
+
+  configure(settings) {
+    this.client.setConnection(settings.openaiBaseUrl, settings.openaiApiKey);
+  }
+
+  async listModels(settings = {}) {
+    // Disabled until the user points it at a server
+    if (!settings.openaiBaseUrl) {
+      return [];
+    }
+    this.configure(settings);
+    const models = await this.client.getModels();
+    return models.map(model => ({ id: model.name, name: model.name }));
+  }
+
+  async validate(settings = {}) {
+    if (!settings.openaiBaseUrl) {
+      return { valid: false, error: 'OpenAI-compatible server URL not configured' };
+    }
+    this.configure(settings);
+    const connectionTest = await this.client.testConnection();
+    return connectionTest.success
+      ? { valid: true, error: null }
+      : { valid: false, error: `OpenAI-compatible server not available: ${connectionTest.error}` };
+  }
+
+  async health(settings = {}) {
+    if (!settings.openaiBaseUrl) {
+      return { healthy: false, version: null, error: 'OpenAI-compatible server URL not configured' };
+    }
+    this.configure(settings);
+    const connectionTest = await this.client.testConnection();
+    return {
+      healthy: connectionTest.success,
+      version: connectionTest.version || null,
+      error: connectionTest.success ? null : connectionTest.error
+    };
+  }
+
+  async analyze(text, { model, settings = {}, method = 'ensemble', promptTemplate, onProgress = null, signal = null }) {
+    const validation = await this.validate(settings);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    this.client.setModel(model);
+
+    console.log('🤖 Using OpenAI-compatible server for LLM analysis with model:', model);
+    return {
+      analysis: await this.client.analyzeText(text, settings.systemInstructions, method, {
+        chunkTokenBudget: settings.chunkTokenBudget,
+        samples: settings.selfConsistencySamples?.openai,
+        promptTemplate,
+        onProgress,
+        signal
+      }),
+      selectedModel: model,
+      serviceVersion: `OpenAI-compatible API (${this.client.baseUrl})`,
+      modelInfo: await this.client.getModelInfo(model)
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,80 @@
+/**
+ * Provider Registry
+ * Keeps the available analysis providers and resolves unified model ids
+ * ('provider:model') to the provider that runs them
+ */
+
+export class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Provider ${provider.id} is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Split a unified model id on the first colon only, since model names such
+   * as Ollama tags contain colons. Providers without models are addressed by id alone.
+   */
+  parseModelId(id = '') {
+    const separator = id.indexOf(':');
+    if (separator === -1) {
+      return this.providers.has(id) ? { provider: id, model: null } : { provider: '', model: '' };
+    }
+    return { provider: id.substring(0, separator), model: id.substring(separator + 1) };
+  }
+
+  /**
+   * Provider and model name for a unified model id
+   */
+  resolve(id) {
+    const { provider: providerId, model } = this.parseModelId(id);
+    const provider = this.get(providerId);
+    if (!provider) {
+      throw new Error(`Unknown analysis provider: ${providerId || id}`);
+    }
+    return { provider, model };
+  }
+
+  /**
+   * Models from every provider in unified form. Providers that fail are
+   * reported in errors instead of failing the whole list.
+   */
+  async listAllModels(settings = {}) {
+    const models = [];
+    const errors = {};
+
+    for (const provider of this.list()) {
+      if (!provider.requiresModel) continue;
+      try {
+        const providerModels = await provider.listModels(settings);
+        providerModels.forEach(model => {
+          models.push({
+            value: `${provider.id}:${model.id}`,
+            name: model.name,
+            source: provider.id
+          });
+        });
+      } catch (error) {
+        errors[provider.id] = error.message;
+      }
+    }
+
+    return { models, errors };
+  }
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,33 @@
+/**
+ * Statistical Analysis Provider
+ * Runs the statistical analyzer alone; needs no LLM and is always available
+ */
+
+import AnalysisProvider from './analysis-provider.js';
+import StatisticalAnalyzer from '../statistical-analyzer.js';
+
+export class StatisticalProvider extends AnalysisProvider {
+  constructor(analyzer = new StatisticalAnalyzer()) {
+    super({ id: 'statistical', name: 'Statistical only', icon: '📊', local: true, requiresModel: false });
+    this.analyzer = analyzer;
+  }
+
+  get statisticalAnalyzer() {
+    return this.analyzer;
+  }
+
+  async health() {
+    return { healthy: true, version: null, error: null };
+  }
+
+  async analyze(text) {
+    return {
+      analysis: this.analyzer.analyzeText(text),
+      selectedModel: 'statistical',
+      serviceVersion: 'Statistical Analyzer',
+      modelInfo: { name: 'statistical', source: 'local' }
+    };
+  }
+}
+
+export default StatisticalProvider;
@@ -0,0 +1,145 @@
+/**
+ * Compact English Reference Language Model
+ * Word and bigram frequencies for general English, used to measure how
+ * predictable a text is against ordinary English instead of against itself
+ */
+
+// Approximate occurrences per million words of general written English
+const UNIGRAM_FREQUENCIES = `
+the 61847 of 29391 and 26817 to 25000 a 21626 in 18214 that 10500 it 10875 is 9982 was 9236
+i 8875 for 8412 you 6954 he 6810 be 6644 with 6575 on 6475 as 6500 by 5096 at 4790
+have 4735 are 4707 not 4626 this 4623 but 4577 had 4452 they 4332 his 4285 from 4134 she 3801
+which 3719 or 3707 we 3578 an 3430 were 3053 her 3036 one 2892 there 2806 do 2802 been 2686
+their 2608 all 2600 has 2593 would 2551 what 2493 will 2443 if 2369 can 2339 who 2055 more 1999
+said 1961 when 1986 so 1893 no 1811 up 1795 out 1542 about 1815 them 1733 some 1617 could 1683
+its 1636 into 1634 him 1649 time 1542 my 1585 than 1535 then 1425 only 1298 other 1336
+new 1154 just 1277 like 1064 also 1248 two 1298 me 1364 people 1256 your 1239 any 1220 now 1253
+may 1135 these 1254 first 1193 very 1165 our 1181 should 1112 over 1085 did 1100 how 1016 well 1119
+because 852 year 1639 years 1100 way 1108 even 989 most 1029 after 1148 many 1139 where 982 much 937
+back 861 those 1026 such 1090 through 934 before 840 get 1183 go 1027 see 1077 know 1104 think 997
+take 911 come 825 work 745 make 1012 made 979 use 642 used 721 us 1034 between 905 life 788
+day 670 world 755 still 844 own 748 both 899 here 801 being 810 while 735 under 609 last 825
+same 813 might 826 never 640 another 689 each 696 great 635 little 732 long 702 right 692 old 648
+part 847 number 649 place 627 system 619 case 635 point 542 government 662 company 578 group 605
+problem 435 fact 447 hand 549 high 574 small 538 large 471 different 484 good 1276 important 392
+however 605 although 436 without 492 example 297 information 386 development 384 research 335 data 290
+social 422 local 445 public 447 national 419 general 380 major 345 able 399 likely 232 possible 346
+per 216 during 547 against 513 within 384 including 251 around 478 again 546 always 462 often 377
+something 524 nothing 367 every 459 thing 396 things 382 going 589 want 534 need 458 say 798
+tell 349 give 489 find 462 look 577 feel 297 seem 229 seems 166 help 330 show 331 put 518
+keep 296 let 399 begin 149 start 248 turn 257 call 296 ask 220 try 231 leave 307 mean 325
+became 244 become 345 away 396 down 895 off 532 why 406 yes 341 yet 379 too 608 quite 295
+really 455 already 296 perhaps 313 probably 227 usually 180 sometimes 190 almost 306 less 393 least 367
+far 421 better 447 best 402 next 468 early 423 late 178 young 378 whole 273 certain 275 clear 282
+though 434 since 628 until 342 upon 300 across 252 toward 98 among 274 rather 400 either 298
+men 567 man 742 woman 362 women 447 children 447 child 355 family 441 house 509 home 414 school 416
+water 312 money 325 business 444 service 379 market 300 state 571 country 368 city 250 area 510
+war 353 power 389 law 345 policy 342 health 266 education 261 level 488 order 370 process 285
+question 342 matter 265 idea 238 issue 230 change 381 result 296 study 236 body 315 week 366
+month 218 today 222 night 336 room 310 side 308 end 496 kind 326 word 281 words 237 story 174
+experience 178 understand 177 believe 238 remember 214 reason 246 course 461 interest 352 role 184
+approach 161 support 247 provide 233 significant 125 various 114 particular 208 ensure 48
+overall 72 key 145 essential 58 crucial 25 furthermore 30 moreover 41 additionally 14 therefore 152
+consequently 18 nevertheless 45 nonetheless 14 notably 12 essentially 26 fundamentally 7 specifically 48
+particularly 167 generally 100 arguably 8 potentially 22 enhance 20 utilize 5 comprehensive 24 landscape 25
+innovative 10 robust 9 leverage 5 foster 9 vital 28 realm 4 delve 1 navigate 4 seamless 2
+pivotal 3 myriad 3 plethora 1 array 15 range 194 wide 117 variety 58 diverse 21 numerous 34
+`;
+
+// Approximate occurrences per million words of common word pairs
+const BIGRAM_FREQUENCIES = `
+of|the 7000 in|the 5000 to|the 3000 on|the 2000 and|the 1900 to|be 1800 for|the 1800 at|the 1500
+it|is 1400 from|the 1200 with|the 1200 that|the 1100 by|the 1100 it|was 1100 of|a 1000 in|a 1000
+is|a 800 is|the 700 there|is 700 one|of 700 as|a 600 will|be 600 can|be 600 has|been 600
+have|been 600 would|be 600 this|is 600 the|first 600 as|the 600 he|was 600 i|think 600 i|have 500
+such|as 500 do|not 500 was|the 500 and|a 500 into|the 500 i|was 500 that|is 500 there|are 500
+as|well 450 well|as 400 out|of 400 the|same 400 more|than 400 to|do 400 she|was 400 they|are 400
+in|this 400 had|been 350 may|be 300 did|not 300 a|lot 300 lot|of 300 the|most 300 the|other 300
+the|new 300 we|are 300 you|can 300 which|is 300 it|has 200 some|of 300 all|the 300 about|the 300
+to|make 250 to|get 250 part|of 250 the|world 250 at|least 200 the|way 200 i|am 250 you|are 250
+we|have 250 they|were 250 could|be 250 should|be 250 number|of 250 to|have 300 to|a 600 of|this 400
+for|a 500 with|a 500 it|will 150 it|would 200 in|order 150 order|to 150 according|to 150 due|to 100
+based|on 90 the|end 150 each|other 150 rather|than 120 even|though 80 so|that 200 because|of 200
+in|addition 60 such|a 150 as|it 150 if|you 300 if|the 300 when|the 300 but|the 300 and|i 300
+i|don 200 don|t 350 can|t 150 didn|t 150 it|s 700 that|s 250 there|s 150 going|to 300
+want|to 250 have|to 350 need|to 200 used|to 150 able|to 150 likely|to 80 important|to 80 it|important 20
+is|important 40 important|role 10 to|note 20 worth|noting 3 plays|a 8 a|crucial 8 crucial|role 6
+a|variety 20 variety|of 25 a|wide 15 wide|range 10 range|of 60 a|range 30 in|conclusion 5 in|today 20
+today|s 40 recent|years 30 in|recent 30 of|utmost 1 utmost|importance 1 myriad|of 2 plethora|of 1
+array|of 8 vast|array 1 it|should 60 be|noted 8 the|fact 150 fact|that 150
+`;
+
+// Estimated number of distinct word types not covered by the table
+const UNSEEN_VOCABULARY_SIZE = 50000;
+// Weight of the bigram estimate when interpolating with unigram probability
+const BIGRAM_LAMBDA = 0.4;
+
+let cachedModel = null;
+
+/**
+ * Parse "key count" pairs into a frequency map
+ */
+function parseFrequencies(data, keySeparator = null) {
+  const counts = new Map();
+  const tokens = data.trim().split(/\s+/);
+
+  for (let i = 0; i + 1 < tokens.length; i += 2) {
+    const key = keySeparator ? tokens[i].replace(keySeparator, ' ') : tokens[i];
+    counts.set(key, parseInt(tokens[i + 1], 10));
+  }
+
+  return counts;
+}
+
+/**
+ * Get the reference model, building it from the embedded tables on first use
+ */
+export function getReferenceModel() {
+  if (cachedModel) {
+    return cachedModel;
+  }
+
+  const unigrams = parseFrequencies(UNIGRAM_FREQUENCIES);
+  const bigrams = parseFrequencies(BIGRAM_FREQUENCIES, '|');
+
+  let knownMass = 0;
+  for (const count of unigrams.values()) {
+    knownMass += count;
+  }
+
+  cachedModel = {
+    unigrams,
+    bigrams,
+    totalWords: 1000000,
+    // Probability mass left over for words the table does not list
+    unseenProbability: Math.max(1000000 - knownMass, 1) / 1000000 / UNSEEN_VOCABULARY_SIZE,
+    bigramLambda: BIGRAM_LAMBDA
+  };
+
+  return cachedModel;
+}
+
+/**
+ * Probability of a word given the previous word under the reference model
+ */
+export function getWordProbability(model, word, previousWord = null) {
+  const unigramCount = model.unigrams.get(word);
+  const unigramProbability = unigramCount
+    ? unigramCount / model.totalWords
+    : model.unseenProbability;
+
+  if (!previousWord) {
+    return unigramProbability;
+  }
+
+  const bigramCount = model.bigrams.get(`${previousWord} ${word}`);
+  const previousCount = model.unigrams.get(previousWord);
+  if (!bigramCount || !previousCount) {
+    return unigramProbability;
+  }
+
+  const bigramProbability = Math.min(1, bigramCount / previousCount);
+  return model.bigramLambda * bigramProbability + (1 - model.bigramLambda) * unigramProbability;
+}
+
+export default getReferenceModel;
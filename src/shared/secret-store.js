@@ -0,0 +1,224 @@
+/**
+ * Secret Store
+ * Keeps API keys in chrome.storage.local, encrypted with AES-GCM. The key
+ * comes from the user's passphrase through PBKDF2 when one is set, or from a
+ * random device key otherwise. A passphrase-derived key is held in
+ * chrome.storage.session, so it is needed again after the browser restarts.
+ */
+
+// Names of the settings that are secrets and never go to chrome.storage.sync
+export const SECRET_NAMES = ['googleApiKey', 'openaiApiKey'];
+
+const PBKDF2_ITERATIONS = 310000;
+// Encrypted with the vault key so unlock() can tell a wrong passphrase
+const VERIFIER_TEXT = 'inposter-secret-store';
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export class SecretStore {
+  constructor() {
+    this.storageKey = 'ai-detector-secrets';
+    this.sessionKey = 'ai-detector-secret-key';
+    this.key = null;
+  }
+
+  async getVault() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || null;
+  }
+
+  async saveVault(vault) {
+    await chrome.storage.local.set({ [this.storageKey]: vault });
+  }
+
+  /**
+   * AES-GCM key from a passphrase, extractable so it can be kept for the session
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async importKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+  }
+
+  async encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async decrypt(key, payload) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * New empty vault, protected by passphrase when given
+   */
+  async createVault(passphrase = '') {
+    const vault = { passphraseProtected: !!passphrase, secrets: {} };
+    let key;
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      vault.salt = toBase64(salt);
+      key = await this.deriveKey(passphrase, salt);
+    } else {
+      const rawKey = crypto.getRandomValues(new Uint8Array(32));
+      vault.deviceKey = toBase64(rawKey);
+      key = await this.importKey(rawKey);
+    }
+
+    vault.verifier = await this.encrypt(key, VERIFIER_TEXT);
+    return { vault, key };
+  }
+
+  /**
+   * The vault key, or null while a passphrase-protected vault is locked
+   */
+  async getKey(vault) {
+    if (this.key) {
+      return this.key;
+    }
+
+    if (!vault.passphraseProtected) {
+      this.key = await this.importKey(fromBase64(vault.deviceKey));
+      return this.key;
+    }
+
+    const session = await chrome.storage.session.get(this.sessionKey);
+    if (session[this.sessionKey]) {
+      this.key = await this.importKey(fromBase64(session[this.sessionKey]));
+    }
+    return this.key;
+  }
+
+  async rememberKey(key, vault) {
+    this.key = key;
+    if (vault.passphraseProtected) {
+      const rawKey = await crypto.subtle.exportKey('raw', key);
+      await chrome.storage.session.set({ [this.sessionKey]: toBase64(rawKey) });
+    } else {
+      await chrome.storage.session.remove(this.sessionKey);
+    }
+  }
+
+  async setSecret(name, value) {
+    if (!SECRET_NAMES.includes(name)) {
+      throw new Error(`Unknown secret: ${name}`);
+    }
+
+    let vault = await this.getVault();
+    let key;
+    if (vault) {
+      key = await this.getKey(vault);
+    } else {
+      ({ vault, key } = await this.createVault());
+      await this.rememberKey(key, vault);
+    }
+    if (!key) {
+      throw new Error('Stored keys are locked. Enter your passphrase to unlock them first.');
+    }
+
+    vault.secrets[name] = await this.encrypt(key, value);
+    await this.saveVault(vault);
+  }
+
+  /**
+   * Decrypted secrets as { values, locked } where locked lists the names
+   * that are stored but cannot be read until the vault is unlocked
+   */
+  async getSecrets() {
+    const vault = await this.getVault();
+    if (!vault) {
+      return { values: {}, locked: [] };
+    }
+
+    const names = Object.keys(vault.secrets);
+    const key = await this.getKey(vault);
+    if (!key) {
+      return { values: {}, locked: names };
+    }
+
+    const values = {};
+    for (const name of names) {
+      values[name] = await this.decrypt(key, vault.secrets[name]);
+    }
+    return { values, locked: [] };
+  }
+
+  async forgetSecret(name) {
+    const vault = await this.getVault();
+    if (vault && vault.secrets[name]) {
+      delete vault.secrets[name];
+      await this.saveVault(vault);
+    }
+  }
+
+  /**
+   * Re-encrypt every stored secret under passphrase, or under a device key
+   * when passphrase is empty. The vault must be unlocked.
+   */
+  async setPassphrase(passphrase = '') {
+    const { values, locked } = await this.getSecrets();
+    if (locked.length > 0) {
+      throw new Error('Stored keys are locked. Enter your current passphrase to unlock them first.');
+    }
+
+    const { vault, key } = await this.createVault(passphrase);
+    for (const [name, value] of Object.entries(values)) {
+      vault.secrets[name] = await this.encrypt(key, value);
+    }
+
+    await this.saveVault(vault);
+    await this.rememberKey(key, vault);
+  }
+
+  async unlock(passphrase) {
+    const vault = await this.getVault();
+    if (!vault || !vault.passphraseProtected) {
+      return;
+    }
+
+    const key = await this.deriveKey(passphrase, fromBase64(vault.salt));
+    try {
+      await this.decrypt(key, vault.verifier);
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+    await this.rememberKey(key, vault);
+  }
+
+  async lock() {
+    this.key = null;
+    await chrome.storage.session.remove(this.sessionKey);
+  }
+
+  async getStatus() {
+    const vault = await this.getVault();
+    if (!vault) {
+      return { passphraseProtected: false, locked: false, stored: [] };
+    }
+
+    return {
+      passphraseProtected: vault.passphraseProtected,
+      locked: !(await this.getKey(vault)),
+      stored: Object.keys(vault.secrets)
+    };
+  }
+}
+
+export default SecretStore;
@@ -0,0 +1,70 @@
+/**
+ * Self-Consistency Sampling
+ * Asks the model the same question several times at a non-zero temperature
+ * and derives confidence from how much its likelihoods vary, instead of
+ * trusting the confidence number the model prints
+ */
+
+export const SAMPLING_TEMPERATURE = 0.7;
+// For APIs whose default nucleus is too narrow for samples to differ
+export const SAMPLING_TOP_P = 0.95;
+export const MAX_SAMPLES = 10;
+
+/**
+ * Number of samples to take, 1 meaning self-consistency is off
+ */
+export function normalizeSampleCount(samples) {
+  const count = parseInt(samples, 10);
+  if (Number.isNaN(count) || count < 2) return 1;
+  return Math.min(count, MAX_SAMPLES);
+}
+
+/**
+ * Combine sampled verdicts. Likelihood is the mean; confidence falls by two
+ * points per point of standard deviation, so samples that agree exactly give
+ * 100 and samples spread across the whole scale give 0.
+ */
+export function combineSamples(samples) {
+  const likelihoods = samples.map(sample => sample.likelihood);
+  const mean = likelihoods.reduce((sum, value) => sum + value, 0) / likelihoods.length;
+  const variance = likelihoods.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / likelihoods.length;
+  const standardDeviation = Math.sqrt(variance);
+  const reportedConfidence = samples.reduce((sum, sample) => sum + sample.confidence, 0) / samples.length;
+
+  // Reasoning and indicators come from the sample closest to the mean
+  const representative = samples.reduce((closest, sample) =>
+    Math.abs(sample.likelihood - mean) < Math.abs(closest.likelihood - mean) ? sample : closest
+  );
+
+  return {
+    ...representative,
+    likelihood: Math.round(mean),
+    confidence: Math.round(Math.max(0, 100 - standardDeviation * 2)),
+    rawResponse: samples.map(sample => sample.rawResponse).filter(Boolean).join('\n---\n'),
+    selfConsistency: {
+      sampleCount: samples.length,
+      likelihoods,
+      spread: Math.max(...likelihoods) - Math.min(...likelihoods),
+      standardDeviation: Math.round(standardDeviation * 10) / 10,
+      variance: Math.round(variance * 10) / 10,
+      reportedConfidence: Math.round(reportedConfidence),
+      temperature: SAMPLING_TEMPERATURE
+    }
+  };
+}
+
+/**
+ * Call sampleOnce(sampleIndex) sampleCount times and combine the verdicts
+ */
+export async function sampleAnalyses(sampleCount, sampleOnce) {
+  const samples = [];
+
+  // Sequential on purpose: local servers generate one reply at a time
+  for (let sampleIndex = 0; sampleIndex < sampleCount; sampleIndex++) {
+    samples.push(await sampleOnce(sampleIndex));
+  }
+
+  return combineSamples(samples);
+}
+
+export default sampleAnalyses;
@@ -3,6 +3,10 @@
  * Implements various linguistic and statistical metrics to detect AI-generated text
  */
 
+import { getReferenceModel, getWordProbability } from './reference-language-model.js';
+import { ProbabilityCalibrator } from './probability-calibrator.js';
+import { scanForInjection } from './prompt-guard.js';
+
 export class StatisticalAnalyzer {
   constructor() {
     // Common words that AI models tend to overuse
@@ -25,6 +29,57 @@ export class StatisticalAnalyzer {
       'plays a crucial role', 'of utmost importance', 'myriad of',
       'plethora of', 'vast array of', 'wide range of'
     ];
+
+    // Default metric weights, replaced when a trained weight set is active
+    this.defaultWeights = {
+      perplexityScore: 0.20,
+      burstinessScore: 0.15,
+      vocabularyDiversity: 0.15,
+      sentenceLengthVariance: 0.10,
+      aiIndicatorScore: 0.15,
+      hedgeWordDensity: 0.10,
+      passiveVoiceRatio: 0.05,
+      repetitionScore: 0.10
+    };
+    this.defaultLLMWeight = 0.7;
+    // Share of the ensemble score given to a fully confident kNN verdict
+    this.knnWeight = 0.2;
+    // Share of the score pulled towards 100 by a certain injection attempt
+    this.injectionWeight = 0.3;
+    this.resetWeights();
+
+    this.calibrator = new ProbabilityCalibrator();
+    this.calibration = null;
+  }
+
+  /**
+   * Calibrate ensemble likelihoods with a fitted calibration, or stop when null
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || null;
+  }
+
+  /**
+   * Use a trained weight set, or the defaults when weightSet is empty
+   */
+  setWeights(weightSet) {
+    if (!weightSet || !weightSet.weights) {
+      this.resetWeights();
+      return;
+    }
+
+    this.weights = { ...weightSet.weights };
+    this.llmWeight = typeof weightSet.llmWeight === 'number' ? weightSet.llmWeight : this.defaultLLMWeight;
+    this.weightsVersion = weightSet.version;
+  }
+
+  /**
+   * Go back to the built-in default weights
+   */
+  resetWeights() {
+    this.weights = { ...this.defaultWeights };
+    this.llmWeight = this.defaultLLMWeight;
+    this.weightsVersion = null;
   }
 
   /**
@@ -38,9 +93,13 @@ export class StatisticalAnalyzer {
     const cleanText = this.cleanText(text);
     const sentences = this.splitIntoSentences(cleanText);
     const words = this.splitIntoWords(cleanText);
+    const reference = this.calculateReferencePerplexity(words);
 
     return {
       perplexityScore: this.calculatePerplexityScore(words),
+      referencePerplexityScore: reference.score,
+      referencePerplexity: reference.perplexity,
+      crossEntropy: reference.crossEntropy,
       burstinessScore: this.calculateBurstiness(sentences),
       vocabularyDiversity: this.calculateVocabularyDiversity(words),
       sentenceLengthVariance: this.calculateSentenceLengthVariance(sentences),
@@ -50,11 +109,95 @@ export class StatisticalAnalyzer {
       passiveVoiceRatio: this.calculatePassiveVoiceRatio(sentences),
       repetitionScore: this.calculateRepetitionScore(words),
       punctuationVariety: this.calculatePunctuationVariety(text),
+      promptInjectionScore: scanForInjection(text).score,
       overallAILikelihood: 0, // Will be calculated by ensemble
       confidence: 0 // Will be calculated by ensemble
     };
   }
 
+  /**
+   * Score every sentence and paragraph separately so callers can see which
+   * parts of a long text drive the document-wide score. Offsets refer to the
+   * text as passed in, not the cleaned version.
+   */
+  analyzeSegments(text) {
+    if (!text || text.trim().length === 0) {
+      return { sentences: [], paragraphs: [] };
+    }
+
+    const scoreSpans = (spans, level) => spans.map((span, index) => ({
+      index,
+      start: span.start,
+      end: span.end,
+      text: span.text,
+      ...this.scoreSegment(span.text, level)
+    }));
+
+    return {
+      sentences: scoreSpans(this.getSentenceSpans(text), 'sentence'),
+      paragraphs: scoreSpans(this.getParagraphSpans(text), 'paragraph')
+    };
+  }
+
+  /**
+   * Score a single segment with the metrics that are meaningful at its size
+   */
+  scoreSegment(text, level = 'paragraph') {
+    const cleanText = this.cleanText(text);
+    const sentences = this.splitIntoSentences(cleanText);
+    const words = this.splitIntoWords(cleanText);
+
+    const metrics = {
+      perplexityScore: this.calculatePerplexityScore(words),
+      vocabularyDiversity: this.calculateVocabularyDiversity(words),
+      aiIndicatorScore: this.calculateAIIndicatorScore(cleanText),
+      hedgeWordDensity: this.calculateHedgeWordDensity(words),
+      passiveVoiceRatio: this.calculatePassiveVoiceRatio(sentences),
+      repetitionScore: this.calculateRepetitionScore(words)
+    };
+
+    // Sentence-length metrics need several sentences to say anything
+    if (level === 'paragraph' && sentences.length >= 3) {
+      metrics.burstinessScore = this.calculateBurstiness(sentences);
+      metrics.sentenceLengthVariance = this.calculateSentenceLengthVariance(sentences);
+    }
+
+    return {
+      likelihood: Math.round(this.calculateStatisticalScore(metrics)),
+      wordCount: words.length,
+      metrics,
+      indicators: this.findIndicators(cleanText)
+    };
+  }
+
+  /**
+   * List the AI-typical words, generic phrases and hedges found in a text
+   */
+  findIndicators(text) {
+    const lowerText = text.toLowerCase();
+    const found = [];
+
+    this.aiIndicatorWords.forEach(word => {
+      if (new RegExp(`\\b${word}\\b`, 'i').test(lowerText)) {
+        found.push(word);
+      }
+    });
+
+    this.genericPhrases.forEach(phrase => {
+      if (lowerText.includes(phrase)) {
+        found.push(phrase);
+      }
+    });
+
+    this.hedgeWords.forEach(word => {
+      if (new RegExp(`\\b${word}\\b`, 'i').test(lowerText) && !found.includes(word)) {
+        found.push(word);
+      }
+    });
+
+    return found;
+  }
+
   /**
    * Clean text and normalize for analysis
    */
@@ -70,10 +213,46 @@ export class StatisticalAnalyzer {
    * Split text into sentences
    */
   splitIntoSentences(text) {
-    return text
-      .split(/[.!?]+/)
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
+    return this.getSentenceSpans(text).map(span => span.text);
+  }
+
+  /**
+   * Split text into sentences, keeping character offsets into the given text
+   */
+  getSentenceSpans(text) {
+    const spans = [];
+    const pattern = /[^.!?]+[.!?]*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const body = match[0].replace(/[.!?]+$/, '');
+      const trimmed = body.trim();
+      if (trimmed.length === 0) continue;
+
+      const start = match.index + body.indexOf(trimmed);
+      spans.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+
+    return spans;
+  }
+
+  /**
+   * Split text into paragraphs on blank lines, keeping character offsets
+   */
+  getParagraphSpans(text) {
+    const spans = [];
+    const pattern = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const trimmed = match[0].trim();
+      if (trimmed.length === 0) continue;
+
+      const start = match.index + match[0].indexOf(trimmed);
+      spans.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+
+    return spans;
   }
 
   /**
@@ -122,6 +301,36 @@ export class StatisticalAnalyzer {
     return Math.round(perplexityScore);
   }
 
+  /**
+   * Perplexity and cross-entropy (bits per word) of the text against the
+   * English reference model. Low cross-entropy means the text keeps to
+   * common words and word pairs, which is more AI-like.
+   */
+  calculateReferencePerplexity(words) {
+    if (words.length < 4) {
+      return { score: 50, perplexity: null, crossEntropy: null };
+    }
+
+    const model = getReferenceModel();
+    let totalBits = 0;
+
+    for (let i = 0; i < words.length; i++) {
+      const probability = getWordProbability(model, words[i], i > 0 ? words[i - 1] : null);
+      totalBits -= Math.log2(probability);
+    }
+
+    const crossEntropy = totalBits / words.length;
+
+    // Normalize to 0-100 scale (higher = more AI-like)
+    const score = Math.max(0, Math.min(100, (14 - crossEntropy) * 20));
+
+    return {
+      score: Math.round(score),
+      perplexity: Math.round(Math.pow(2, crossEntropy)),
+      crossEntropy: Math.round(crossEntropy * 100) / 100
+    };
+  }
+
   /**
    * Calculate entropy from frequency counts
    */
@@ -290,21 +499,9 @@ export class StatisticalAnalyzer {
   }
 
   /**
-   * Calculate ensemble score combining all metrics
+   * Weighted average of the statistical metrics that are present in stats
    */
-  calculateEnsembleScore(stats, llmAnalysis = null) {
-    const weights = {
-      perplexityScore: 0.20,
-      burstinessScore: 0.15,
-      vocabularyDiversity: 0.15,
-      sentenceLengthVariance: 0.10,
-      aiIndicatorScore: 0.15,
-      hedgeWordDensity: 0.10,
-      passiveVoiceRatio: 0.05,
-      repetitionScore: 0.10
-    };
-
-    // Calculate weighted average of statistical scores
+  calculateStatisticalScore(stats, weights = this.weights) {
     let statisticalScore = 0;
     let totalWeight = 0;
 
@@ -315,16 +512,40 @@ export class StatisticalAnalyzer {
       }
     }
 
-    statisticalScore = totalWeight > 0 ? statisticalScore / totalWeight : 50;
+    return totalWeight > 0 ? statisticalScore / totalWeight : 50;
+  }
+
+  /**
+   * Calculate ensemble score combining all metrics. method is 'ensemble',
+   * 'llm-only' (LLM verdict without the blend) or 'statistical-only'.
+   * voting, from combineVotes(), replaces the LLM verdict with the consensus
+   * of several models. knn, from EmbeddingCorpus.predict(), is blended into
+   * ensemble scores in proportion to its confidence. Text that tries to
+   * steer the detector (stats.promptInjectionScore) raises the score under
+   * every method, since the LLM verdict itself may have been steered.
+   */
+  calculateEnsembleScore(stats, llmAnalysis = null, method = 'ensemble', voting = null, knn = null) {
+    const statisticalScore = this.calculateStatisticalScore(stats);
+
+    // A multi-model vote stands in for the single LLM verdict as LLM evidence
+    if (llmAnalysis && voting && voting.modelCount > 1) {
+      llmAnalysis = { ...llmAnalysis, likelihood: voting.likelihood, confidence: voting.confidence };
+    }
 
     // Combine with LLM analysis if available
     let finalScore = statisticalScore;
     let confidence = 60; // Base confidence for statistical analysis
-
-    if (llmAnalysis) {
+    let methodUsed = 'statistical-only';
+
+    if (llmAnalysis && method === 'llm-only') {
+      finalScore = llmAnalysis.likelihood;
+      confidence = Math.min(95, llmAnalysis.confidence);
+      methodUsed = 'llm-only';
+    } else if (llmAnalysis && method !== 'statistical-only') {
+      methodUsed = 'ensemble';
       // Weight LLM analysis more heavily, but use statistics as validation
-      const llmWeight = 0.7;
-      const statWeight = 0.3;
+      const llmWeight = this.llmWeight;
+      const statWeight = 1 - llmWeight;
       
       finalScore = (llmAnalysis.likelihood * llmWeight) + (statisticalScore * statWeight);
       
@@ -333,13 +554,97 @@ export class StatisticalAnalyzer {
       confidence = Math.min(95, llmAnalysis.confidence * 0.7 + agreement * 0.3);
     }
 
+    // Nearest labeled examples are one more signal, never the whole verdict
+    if (knn && method === 'ensemble') {
+      const knnWeight = this.knnWeight * knn.confidence / 100;
+      finalScore = finalScore * (1 - knnWeight) + knn.likelihood * knnWeight;
+      confidence = Math.min(95, confidence * (1 - knnWeight) + knn.confidence * knnWeight);
+    }
+
+    // Instructions aimed at the detector are suspicious in themselves
+    const injectionWeight = this.injectionWeight * (stats.promptInjectionScore || 0) / 100;
+    if (injectionWeight > 0) {
+      finalScore = finalScore * (1 - injectionWeight) + 100 * injectionWeight;
+      confidence = confidence * (1 - injectionWeight);
+    }
+
+    // The weighted average is a score, not a probability; map it through the calibration
+    const calibratedScore = this.calibration
+      ? this.calibrator.calibrate(this.calibration, finalScore)
+      : finalScore;
+
     return {
-      likelihood: Math.round(finalScore),
+      likelihood: Math.round(calibratedScore),
+      rawLikelihood: Math.round(finalScore),
+      calibratedLikelihood: Math.round(calibratedScore),
+      calibrationMethod: this.calibration ? this.calibration.method : null,
       confidence: Math.round(confidence),
       statisticalScore: Math.round(statisticalScore),
+      weightsVersion: this.weightsVersion,
+      method: methodUsed,
+      votingScore: voting && voting.modelCount > 1 ? voting.likelihood : null,
+      knnScore: knn && method === 'ensemble' ? knn.likelihood : null,
+      injectionScore: stats.promptInjectionScore || 0,
       breakdown: stats
     };
   }
+
+  /**
+   * Describe the statistical metrics that point towards AI-generated text
+   */
+  describeIndicators(stats) {
+    const indicators = [];
+    if (stats.perplexityScore > 60) {
+      indicators.push('high perplexity (predictable patterns)');
+    }
+    if (stats.burstinessScore > 60) {
+      indicators.push('low sentence length variation');
+    }
+    if (stats.aiIndicatorScore > 30) {
+      indicators.push('AI-typical phrases detected');
+    }
+    if (stats.vocabularyDiversity > 60) {
+      indicators.push('repetitive vocabulary');
+    }
+    if (stats.promptInjectionScore > 0) {
+      indicators.push('instructions aimed at AI detectors');
+    }
+    return indicators;
+  }
+
+  /**
+   * Statistical-only analysis that needs no LLM. Returns the same shape as
+   * the LLM clients so callers can treat the result alike.
+   */
+  analyzeText(text) {
+    const startTime = Date.now();
+    const statisticalStats = this.analyze(text);
+    const segmentAnalysis = this.analyzeSegments(text);
+    const ensembleResult = this.calculateEnsembleScore(statisticalStats, null, 'statistical-only');
+    const indicators = this.describeIndicators(statisticalStats);
+
+    return {
+      likelihood: ensembleResult.likelihood,
+      rawLikelihood: ensembleResult.rawLikelihood,
+      calibratedLikelihood: ensembleResult.calibratedLikelihood,
+      calibrationMethod: ensembleResult.calibrationMethod,
+      confidence: ensembleResult.confidence,
+      reasoning: indicators.length > 0
+        ? `Statistical indicators: ${indicators.join(', ')}`
+        : 'No strong statistical indicators of AI-generated text',
+      statisticalBreakdown: ensembleResult.breakdown,
+      statisticalScore: ensembleResult.statisticalScore,
+      weightsVersion: ensembleResult.weightsVersion,
+      segmentAnalysis: segmentAnalysis,
+      llmAnalysis: null,
+      method: ensembleResult.method,
+      analysisTime: Date.now() - startTime,
+      llmResponseTime: 0,
+      statisticalTime: Date.now() - startTime,
+      modelName: 'statistical',
+      timestamp: Date.now()
+    };
+  }
 }
 
 export default StatisticalAnalyzer; 
\ No newline at end of file
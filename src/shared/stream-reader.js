@@ -0,0 +1,65 @@
+/**
+ * Streaming Response Helpers
+ * Read newline-delimited JSON (Ollama) and server-sent events (Gemini) from
+ * fetch responses, and pull the reasoning out of a half-finished JSON reply
+ */
+
+/**
+ * Call onLine for every complete line of the response body
+ */
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => {
+      if (line.trim()) onLine(line);
+    });
+
+    if (done) break;
+  }
+
+  if (buffer.trim()) {
+    onLine(buffer);
+  }
+}
+
+/**
+ * Read a newline-delimited JSON stream, calling onMessage with each object
+ */
+export async function readNdjsonStream(response, onMessage) {
+  await readLines(response, line => onMessage(JSON.parse(line)));
+}
+
+/**
+ * Read a server-sent events stream, calling onMessage with each parsed data payload
+ */
+export async function readSseStream(response, onMessage) {
+  await readLines(response, line => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (payload && payload !== '[DONE]') {
+      onMessage(JSON.parse(payload));
+    }
+  });
+}
+
+/**
+ * Reasoning text from a JSON reply that may still be arriving, or '' if the
+ * reasoning field has not started yet
+ */
+export function extractPartialReasoning(partialJson) {
+  const match = partialJson.match(/"reasoning"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return '';
+
+  return match[1]
+    .replace(/\\$/, '')
+    .replace(/\\n/g, '\n')
+    .replace(/\\(["\\/])/g, '$1');
+}
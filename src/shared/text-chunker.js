@@ -0,0 +1,182 @@
+/**
+ * Text Chunking for Long-Form Analysis
+ * Splits text on paragraph and sentence boundaries within a token budget so
+ * the LLM sees the whole document, and combines per-chunk verdicts
+ */
+
+// Rough average for English text with common tokenizers
+const CHARS_PER_TOKEN = 4;
+export const DEFAULT_CHUNK_TOKENS = 500;
+
+// Runs of non-blank lines
+const PARAGRAPH_PATTERN = /(?:[^\n]*\S[^\n]*(?:\n|$))+/g;
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["')\]]*)?\s*/g;
+const WORD_PATTERN = /\S+\s*/g;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Non-blank matches of pattern as { start, end } offsets into the full text
+ */
+function findSpans(text, pattern, offset = 0) {
+  const spans = [];
+  for (const match of text.matchAll(pattern)) {
+    if (match[0].trim()) {
+      spans.push({ start: offset + match.index, end: offset + match.index + match[0].length });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Greedily merge consecutive spans while the merged span fits in maxChars
+ */
+function packSpans(spans, maxChars) {
+  const packed = [];
+  let current = null;
+
+  spans.forEach(span => {
+    if (current && span.end - current.start <= maxChars) {
+      current.end = span.end;
+    } else {
+      current = { ...span };
+      packed.push(current);
+    }
+  });
+
+  return packed;
+}
+
+/**
+ * Split text into chunks of at most tokenBudget estimated tokens. Paragraphs
+ * are kept whole when they fit, then sentences; only a single sentence longer
+ * than the budget is split between words.
+ */
+export function splitIntoChunks(text, tokenBudget = DEFAULT_CHUNK_TOKENS) {
+  const maxChars = Math.max(1, tokenBudget || DEFAULT_CHUNK_TOKENS) * CHARS_PER_TOKEN;
+  const units = [];
+
+  findSpans(text, PARAGRAPH_PATTERN).forEach(paragraph => {
+    if (paragraph.end - paragraph.start <= maxChars) {
+      units.push(paragraph);
+      return;
+    }
+
+    const paragraphText = text.slice(paragraph.start, paragraph.end);
+    findSpans(paragraphText, SENTENCE_PATTERN, paragraph.start).forEach(sentence => {
+      if (sentence.end - sentence.start <= maxChars) {
+        units.push(sentence);
+      } else {
+        const sentenceText = text.slice(sentence.start, sentence.end);
+        units.push(...packSpans(findSpans(sentenceText, WORD_PATTERN, sentence.start), maxChars));
+      }
+    });
+  });
+
+  return packSpans(units, maxChars).map((span, index) => {
+    const chunkText = text.slice(span.start, span.end).trim();
+    return {
+      index,
+      start: span.start,
+      end: span.end,
+      text: chunkText,
+      tokens: estimateTokens(chunkText)
+    };
+  });
+}
+
+/**
+ * Combine per-chunk LLM verdicts into one document verdict. Likelihood is
+ * weighted by chunk length and confidence; confidence by chunk length.
+ */
+export function combineChunkAnalyses(results) {
+  if (results.length === 1) {
+    return results[0].analysis;
+  }
+
+  let weightSum = 0;
+  let likelihoodSum = 0;
+  let confidenceSum = 0;
+  let tokenSum = 0;
+  let strongest = results[0];
+
+  results.forEach(result => {
+    const { likelihood, confidence } = result.analysis;
+    // A zero-confidence chunk still counts a little so weights never sum to zero
+    const weight = result.tokens * Math.max(confidence, 1);
+    weightSum += weight;
+    likelihoodSum += weight * likelihood;
+    confidenceSum += result.tokens * confidence;
+    tokenSum += result.tokens;
+
+    if (weight > strongest.tokens * Math.max(strongest.analysis.confidence, 1)) {
+      strongest = result;
+    }
+  });
+
+  const likelihoods = results.map(result => result.analysis.likelihood);
+  const parseMethods = [...new Set(results.map(result => result.analysis.parseMethod))];
+  const keyIndicators = [...new Set(results.flatMap(result => result.analysis.keyIndicators || []))];
+
+  return {
+    likelihood: Math.round(likelihoodSum / weightSum),
+    confidence: Math.round(confidenceSum / tokenSum),
+    reasoning: `Combined verdict of ${results.length} chunks (${Math.min(...likelihoods)}-${Math.max(...likelihoods)}% AI likelihood). ` +
+      `Chunk ${strongest.index + 1}: ${strongest.analysis.reasoning}`,
+    keyIndicators: keyIndicators.slice(0, 8),
+    rawResponse: results.map(result => result.analysis.rawResponse).filter(Boolean).join('\n---\n'),
+    parseMethod: parseMethods.length === 1 ? parseMethods[0] : 'mixed',
+    selfConsistency: combineChunkConsistency(results)
+  };
+}
+
+/**
+ * Self-consistency across chunks: the widest spread of any chunk, or
+ * undefined when the chunks were not sampled
+ */
+function combineChunkConsistency(results) {
+  const sampled = results.map(result => result.analysis.selfConsistency).filter(Boolean);
+  if (sampled.length === 0) {
+    return undefined;
+  }
+
+  const widest = sampled.reduce((max, consistency) => consistency.spread > max.spread ? consistency : max);
+  return { ...widest, chunkCount: sampled.length };
+}
+
+/**
+ * Run analyzeChunk(chunkText, chunk, chunkCount) over every chunk of text
+ * and combine the verdicts. Returns { llmAnalysis, chunks } where chunks
+ * keeps each chunk's verdict.
+ */
+export async function analyzeInChunks(text, tokenBudget, analyzeChunk) {
+  const chunks = splitIntoChunks(text, tokenBudget);
+  const results = [];
+
+  // Sequential on purpose: local servers generate one reply at a time
+  for (const chunk of chunks) {
+    const analysis = await analyzeChunk(chunk.text, chunk, chunks.length);
+    results.push({ ...chunk, analysis });
+  }
+
+  return {
+    llmAnalysis: combineChunkAnalyses(results),
+    chunks: results.map(result => ({
+      index: result.index,
+      start: result.start,
+      end: result.end,
+      tokens: result.tokens,
+      preview: result.text.substring(0, 80),
+      likelihood: result.analysis.likelihood,
+      confidence: result.analysis.confidence,
+      reasoning: result.analysis.reasoning,
+      keyIndicators: result.analysis.keyIndicators || [],
+      parseMethod: result.analysis.parseMethod,
+      selfConsistency: result.analysis.selfConsistency
+    }))
+  };
+}
+
+export default splitIntoChunks;
@@ -0,0 +1,228 @@
+/**
+ * Ensemble Weight Trainer for AI Content Detector
+ * Fits statistical metric weights and the LLM/statistics split on corrected
+ * feedback records, and keeps a versioned history of learned weight sets
+ */
+
+import { StatisticalAnalyzer } from './statistical-analyzer.js';
+import { FeedbackManager } from './feedback-manager.js';
+
+export class WeightTrainer {
+  constructor() {
+    this.storageKey = 'ai-detector-ensemble-weights';
+    this.minExamples = 20;
+    this.maxVersions = 10;
+    this.learningRate = 0.5;
+    this.epochs = 2000;
+    this.l2Penalty = 0.01;
+    this.analyzer = new StatisticalAnalyzer();
+    this.metrics = Object.keys(this.analyzer.defaultWeights);
+  }
+
+  /**
+   * Train a new weight set from stored feedback and save it as a new version
+   */
+  async trainFromFeedback(options = {}) {
+    const feedbackManager = new FeedbackManager();
+    const records = await feedbackManager.getFeedbackRecords();
+    const weightSet = this.train(records);
+    return this.saveWeightSet(weightSet, options.activate !== false);
+  }
+
+  /**
+   * Fit weights on feedback records. Returns an unsaved weight set.
+   */
+  train(records) {
+    const examples = records
+      .map(record => this.toExample(record))
+      .filter(example => example !== null);
+
+    if (examples.length < this.minExamples) {
+      throw new Error(`Need at least ${this.minExamples} corrected feedback records to train weights (found ${examples.length})`);
+    }
+
+    // Metric weights: logistic regression over the statistical breakdown
+    const metricModel = this.fitLogisticRegression(
+      examples.map(example => this.metrics.map(metric => example.metrics[metric] / 100)),
+      examples.map(example => example.label)
+    );
+    const weights = this.toWeights(metricModel.coefficients);
+    if (!weights) {
+      throw new Error('Training found no metric that predicts AI-generated text; keeping current weights');
+    }
+
+    // LLM split: logistic regression over [llm likelihood, statistical score]
+    let llmWeight = this.analyzer.defaultLLMWeight;
+    const llmExamples = examples.filter(example => example.llmLikelihood !== null);
+    if (llmExamples.length >= this.minExamples) {
+      const splitModel = this.fitLogisticRegression(
+        llmExamples.map(example => [
+          example.llmLikelihood / 100,
+          this.analyzer.calculateStatisticalScore(example.metrics, weights) / 100
+        ]),
+        llmExamples.map(example => example.label)
+      );
+      const [llmCoefficient, statCoefficient] = splitModel.coefficients.map(c => Math.max(0, c));
+      if (llmCoefficient + statCoefficient > 0) {
+        llmWeight = Math.round(llmCoefficient / (llmCoefficient + statCoefficient) * 1000) / 1000;
+      }
+    }
+
+    return {
+      weights,
+      llmWeight,
+      trainingExamples: examples.length,
+      llmExamples: llmExamples.length,
+      accuracy: this.evaluate(examples, weights, llmWeight),
+      baselineAccuracy: this.evaluate(examples, this.analyzer.defaultWeights, this.analyzer.defaultLLMWeight)
+    };
+  }
+
+  /**
+   * Turn a feedback record into {metrics, llmLikelihood, label}, or null when
+   * the record carries no usable ground truth
+   */
+  toExample(record) {
+    const scoring = record.aiScoring;
+    if (!scoring) return null;
+
+    const label = FeedbackManager.getAILabel(record);
+    if (label === null) return null;
+
+    const metrics = {};
+    this.metrics.forEach(metric => {
+      // Missing metrics count as neutral so older records stay usable
+      metrics[metric] = typeof scoring[metric] === 'number' ? scoring[metric] : 50;
+    });
+
+    return {
+      metrics,
+      llmLikelihood: typeof scoring.llmLikelihood === 'number' ? scoring.llmLikelihood : null,
+      label
+    };
+  }
+
+  /**
+   * L2-regularized logistic regression trained with batch gradient descent
+   */
+  fitLogisticRegression(features, labels) {
+    const featureCount = features[0].length;
+    const coefficients = new Array(featureCount).fill(0);
+    let intercept = 0;
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      const gradient = new Array(featureCount).fill(0);
+      let interceptGradient = 0;
+
+      for (let i = 0; i < features.length; i++) {
+        let z = intercept;
+        for (let j = 0; j < featureCount; j++) {
+          z += coefficients[j] * features[i][j];
+        }
+        const error = 1 / (1 + Math.exp(-z)) - labels[i];
+
+        for (let j = 0; j < featureCount; j++) {
+          gradient[j] += error * features[i][j];
+        }
+        interceptGradient += error;
+      }
+
+      for (let j = 0; j < featureCount; j++) {
+        coefficients[j] -= this.learningRate * (gradient[j] / features.length + this.l2Penalty * coefficients[j]);
+      }
+      intercept -= this.learningRate * interceptGradient / features.length;
+    }
+
+    return { coefficients, intercept };
+  }
+
+  /**
+   * Convert regression coefficients into normalized metric weights. Metrics
+   * with a negative coefficient get no weight.
+   */
+  toWeights(coefficients) {
+    const positive = coefficients.map(c => Math.max(0, c));
+    const total = positive.reduce((sum, c) => sum + c, 0);
+    if (total === 0) return null;
+
+    const weights = {};
+    this.metrics.forEach((metric, i) => {
+      weights[metric] = Math.round(positive[i] / total * 1000) / 1000;
+    });
+    return weights;
+  }
+
+  /**
+   * Share of examples where the ensemble lands on the same side of 50% as the user
+   */
+  evaluate(examples, weights, llmWeight) {
+    const correct = examples.filter(example => {
+      const statScore = this.analyzer.calculateStatisticalScore(example.metrics, weights);
+      const score = example.llmLikelihood !== null
+        ? example.llmLikelihood * llmWeight + statScore * (1 - llmWeight)
+        : statScore;
+      return (score >= 50) === (example.label >= 0.5);
+    }).length;
+
+    return Math.round(correct / examples.length * 1000) / 10;
+  }
+
+  /**
+   * Versioned weight storage
+   */
+
+  async getWeightStore() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || { activeVersion: null, versions: [] };
+    } catch (error) {
+      console.error('Failed to load ensemble weights:', error);
+      return { activeVersion: null, versions: [] };
+    }
+  }
+
+  async getActiveWeightSet() {
+    const store = await this.getWeightStore();
+    if (store.activeVersion === null) return null;
+    return store.versions.find(set => set.version === store.activeVersion) || null;
+  }
+
+  async saveWeightSet(weightSet, activate = true) {
+    const store = await this.getWeightStore();
+    const lastVersion = store.versions.reduce((max, set) => Math.max(max, set.version), 0);
+    const saved = {
+      ...weightSet,
+      version: lastVersion + 1,
+      createdAt: Date.now()
+    };
+
+    store.versions.push(saved);
+    // Keep the newest versions, but never drop the active one
+    while (store.versions.length > this.maxVersions) {
+      const index = store.versions.findIndex(set => set.version !== store.activeVersion);
+      store.versions.splice(index, 1);
+    }
+    if (activate) {
+      store.activeVersion = saved.version;
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: store });
+    return saved;
+  }
+
+  /**
+   * Make a stored version active; null goes back to the default weights
+   */
+  async activateVersion(version) {
+    const store = await this.getWeightStore();
+    if (version !== null && !store.versions.some(set => set.version === version)) {
+      throw new Error(`Weight set version ${version} not found`);
+    }
+
+    store.activeVersion = version;
+    await chrome.storage.local.set({ [this.storageKey]: store });
+    return this.getActiveWeightSet();
+  }
+}
+
+export default WeightTrainer;